@@ -18,8 +18,46 @@ class RestaurantIntelligencePlatform {
         this.dataCache = new Map();
         this.currentRegion = null;
         this.currentCuisine = null;
+        this.currentRegionalData = null;
+        this.currentCuisineData = null;
+        this.currentCompetitiveData = null;
+        this.currentInsights = [];
+        this.competitorTable = {
+            sortKey: 'competitor_score',
+            sortDir: 'desc',
+            filter: '',
+            threats: ['high', 'medium', 'low'],
+            page: 1,
+            pageSize: 5,
+            printing: false
+        };
         this.charts = {};
         this.dataIndex = null;
+        this.dataManifest = null;
+        this.panelState = {};
+        this.activeView = null;
+        this.comparisonSeeded = false;
+        this.comparisonColors = [
+            '102, 126, 234',
+            '255, 99, 132',
+            '75, 192, 192',
+            '255, 159, 64'
+        ];
+        this.siteWizard = {
+            step: 0,
+            cuisines: [],
+            competition: ['very_low', 'low', 'medium'],
+            segment: '',
+            risk: 'medium'
+        };
+        this.scoring = new ScoringEngine(this.loadScoringWeights());
+        this.scoreBreakdowns = new Map();
+        this.myRestaurant = null;
+        this.searchIndex = [];
+        this.search = {
+            results: [],
+            active: 0
+        };
         this.debugMode = true;
         this.basePath = basePath;
 
@@ -41,10 +79,15 @@ class RestaurantIntelligencePlatform {
             this.log('Initializing Restaurant Intelligence Platform...');
 
             await this.loadDataIndex();
+            await this.loadDataManifest();
+            await this.loadSearchIndex();
+            this.myRestaurant = this.loadMyRestaurant();
 
             this.setupEventListeners();
             this.populateRegionSelector();
             this.updateStatus('ready', 'System ready');
+
+            await this.restoreUrlState(this.readUrlState());
             
             this.log('Restaurant Intelligence Platform initialized successfully');
         } catch (error) {
@@ -74,7 +117,256 @@ class RestaurantIntelligencePlatform {
         }
     }
     
+    async loadDataManifest() {
+        try {
+            this.log('Loading data manifest...');
+            const response = await fetch(this.basePath + 'data/data_manifest.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            
+            this.dataManifest = await response.json();
+            this.log('Data manifest loaded successfully:', this.dataManifest.metadata);
+            
+        } catch (error) {
+            this.dataManifest = null;
+            this.error('Data manifest unavailable, falling back to top regions from the index:', error);
+        }
+    }
+    
+    async loadSearchIndex() {
+        try {
+            this.log('Loading search index...');
+            const response = await fetch(this.basePath + 'data/search_index.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            
+            const index = await response.json();
+            this.setSearchEntries(index.entries || []);
+            this.log('Search index loaded successfully:', index.metadata);
+            
+        } catch (error) {
+            this.error('Prebuilt search index unavailable, building it from competitive data:', error);
+            
+            try {
+                this.setSearchEntries(await this.buildSearchIndex());
+            } catch (buildError) {
+                this.error('Failed to build search index:', buildError);
+                this.setSearchEntries([]);
+            }
+        }
+    }
+    
+    async buildSearchIndex() {
+        const entries = [];
+        const competitors = new Map();
+        const regions = this.dataManifest
+            ? Object.keys(this.dataManifest.regions).filter(region => this.isRegionAnalyzed(region))
+            : this.dataIndex.coverage?.regions?.top_regions || [];
+        const cuisines = this.dataIndex?.coverage?.cuisines?.main_cuisines || [];
+        
+        regions.forEach(region => {
+            entries.push({
+                type: 'region',
+                id: region,
+                label: region,
+                detail: this.formatRegionLocation(region) || 'Location unknown',
+                region
+            });
+        });
+        
+        const files = await this.loadAllCompetitiveData(cuisines);
+        
+        cuisines.forEach(cuisine => {
+            const markets = files.filter(file => file.cuisine === cuisine).length;
+            
+            entries.push({
+                type: 'cuisine',
+                id: cuisine,
+                label: cuisine,
+                detail: `Competitive data in ${markets} regions`,
+                cuisine
+            });
+        });
+        
+        files.forEach(({ region, cuisine, data }) => {
+            (data.key_competitors || []).filter(competitor => competitor.business_id).forEach(competitor => {
+                if (!competitors.has(competitor.business_id)) {
+                    competitors.set(competitor.business_id, {
+                        type: 'competitor',
+                        id: competitor.business_id,
+                        label: competitor.name,
+                        detail: [competitor.address, competitor.city, competitor.state].filter(Boolean).join(', '),
+                        region,
+                        cuisine,
+                        markets: []
+                    });
+                }
+                competitors.get(competitor.business_id).markets.push({ region, cuisine });
+            });
+        });
+        
+        return [...entries, ...competitors.values()];
+    }
+    
+    setSearchEntries(entries) {
+        this.searchIndex = entries.map(entry => ({
+            ...entry,
+            text: [entry.label, entry.detail, ...(entry.markets || []).map(market => `${market.region} ${market.cuisine}`)]
+                .join(' ')
+                .toLowerCase()
+        }));
+        this.log(`Search index ready with ${this.searchIndex.length} entries`);
+    }
+    
+    searchEntries(query, limit = 10) {
+        const normalized = query.trim().toLowerCase();
+        const terms = normalized.split(/\s+/).filter(Boolean);
+        const typeOrder = { region: 0, cuisine: 1, competitor: 2 };
+        
+        if (terms.length === 0) {
+            return [];
+        }
+        
+        return this.searchIndex
+            .filter(entry => terms.every(term => entry.text.includes(term)))
+            .map(entry => {
+                const label = entry.label.toLowerCase();
+                const rank = label === normalized ? 0 : label.startsWith(normalized) ? 1 : label.includes(normalized) ? 2 : 3;
+                return { entry, rank };
+            })
+            .sort((a, b) => a.rank - b.rank || typeOrder[a.entry.type] - typeOrder[b.entry.type] || a.entry.label.localeCompare(b.entry.label))
+            .slice(0, limit)
+            .map(result => result.entry);
+    }
+    
+    renderSearchResults(query) {
+        const list = document.getElementById('globalSearchResults');
+        const typeLabels = { region: 'Region', cuisine: 'Cuisine', competitor: 'Restaurant' };
+        
+        this.search.results = this.searchEntries(query);
+        this.search.active = 0;
+        
+        if (!query.trim()) {
+            this.hideSearchResults();
+            return;
+        }
+        
+        list.innerHTML = this.search.results.length > 0
+            ? this.search.results.map((entry, index) => `
+                <li class="global-search-result${index === this.search.active ? ' active' : ''}" data-search-index="${index}" role="option">
+                    <span class="search-result-type search-type-${entry.type}">${typeLabels[entry.type]}</span>
+                    <span class="search-result-label">${this.escapeHtml(entry.label)}</span>
+                    <span class="search-result-detail">${this.escapeHtml(entry.detail || '')}</span>
+                </li>
+            `).join('')
+            : '<li class="global-search-empty">No restaurants, regions or cuisines match</li>';
+        list.classList.add('show');
+    }
+    
+    moveSearchSelection(offset) {
+        const count = this.search.results.length;
+        
+        if (count === 0) {
+            return;
+        }
+        
+        this.search.active = (this.search.active + offset + count) % count;
+        document.querySelectorAll('#globalSearchResults [data-search-index]').forEach(item => {
+            const active = Number(item.dataset.searchIndex) === this.search.active;
+            item.classList.toggle('active', active);
+            if (active && item.scrollIntoView) {
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+    
+    hideSearchResults() {
+        document.getElementById('globalSearchResults').classList.remove('show');
+    }
+    
+    focusGlobalSearch() {
+        const input = document.getElementById('globalSearchInput');
+        input.focus();
+        input.select();
+    }
+    
+    async selectSearchResult(index) {
+        const entry = this.search.results[index];
+        const input = document.getElementById('globalSearchInput');
+        
+        if (!entry) {
+            return;
+        }
+        
+        input.value = '';
+        input.blur();
+        this.hideSearchResults();
+        this.hideCompetitorProfile({ updateHistory: false });
+        this.log(`Search result selected: ${entry.type} ${entry.id}`);
+        
+        try {
+            if (entry.type === 'cuisine' && !this.getRegionInfo(this.currentRegion)?.cuisines?.[entry.cuisine]) {
+                this.setPanelState('xcuisine', entry.cuisine);
+                await this.showView('cuisineExplorer');
+                return;
+            }
+            
+            let selection = { region: entry.region };
+            
+            if (entry.type === 'cuisine') {
+                selection = { region: this.currentRegion, cuisine: entry.cuisine };
+            } else if (entry.type === 'competitor') {
+                const market = entry.markets.find(item => item.region === this.currentRegion && item.cuisine === this.currentCuisine)
+                    || entry.markets.find(item => item.region === this.currentRegion)
+                    || entry.markets[0];
+                selection = { region: market.region, cuisine: market.cuisine };
+            }
+            
+            this.hideView({ updateHistory: false });
+            delete this.panelState.view;
+            await this.restoreSelectionState(selection);
+            this.updateUrlState();
+            
+            if (entry.type === 'competitor') {
+                await this.openCompetitorProfile(entry.id);
+            }
+        } catch (error) {
+            this.error('Error opening search result:', error);
+            this.updateStatus('error', `Could not open ${entry.label}`);
+        }
+    }
+    
+    getRegionInfo(region) {
+        return this.dataManifest?.regions?.[region] || null;
+    }
+    
+    hasRegionAnalysis(region) {
+        if (this.dataManifest) {
+            return !!this.getRegionInfo(region)?.has_region_analysis;
+        }
+        return (this.dataIndex.coverage?.regions?.top_regions || []).includes(region);
+    }
+    
+    isRegionAnalyzed(region) {
+        if (this.dataManifest) {
+            const info = this.getRegionInfo(region);
+            return !!(info && (info.has_region_analysis || info.has_competitive_analysis));
+        }
+        return (this.dataIndex.coverage?.regions?.top_regions || []).includes(region);
+    }
+    
+    formatRegionLocation(region) {
+        const info = this.getRegionInfo(region);
+        return info?.city ? `${info.city}, ${info.state}` : null;
+    }
+    
     setupEventListeners() {
+        document.getElementById('regionSearch').addEventListener('input', (e) => {
+            this.filterRegionOptions(e.target.value);
+        });
+        
         document.getElementById('regionSelect').addEventListener('change', (e) => {
             this.log(`Region selected: ${e.target.value}`);
             this.onRegionSelected(e.target.value);
@@ -100,410 +392,2934 @@ class RestaurantIntelligencePlatform {
         });
         
         document.addEventListener('keydown', (e) => {
+            const typing = e.target.closest?.('input, textarea, select, [contenteditable="true"]');
+            
+            if ((e.key === 'k' && (e.ctrlKey || e.metaKey)) || (e.key === '/' && !typing)) {
+                e.preventDefault();
+                this.focusGlobalSearch();
+                return;
+            }
+            
             if (e.key === 'Escape') {
+                this.hideSearchResults();
                 this.hideHelpModal();
+                this.hideScoringModal();
+                this.hideScoreBreakdown();
+                this.hideCompetitorProfile();
             }
         });
-    }
-    
-    populateRegionSelector() {
-        const select = document.getElementById('regionSelect');
-        select.innerHTML = '<option value="">Select a region...</option>';
-
-        const regions = this.dataIndex.coverage?.regions?.top_regions || [];
-        this.log('Available regions:', regions);
         
-        if (regions.length === 0) {
-            this.error('No regions found in data index');
-            return;
-        }
+        const globalSearch = document.getElementById('globalSearchInput');
         
-        regions.forEach(region => {
-            const option = document.createElement('option');
-            option.value = region;
-            option.textContent = `${region} (Region)`;
-            select.appendChild(option);
+        globalSearch.addEventListener('input', (e) => {
+            this.renderSearchResults(e.target.value);
         });
         
-        this.log(`Loaded ${regions.length} regions into selector`);
-    }
-    
-    async onRegionSelected(region) {
-        if (!region) {
-            this.clearAllPanels();
-            return;
-        }
+        globalSearch.addEventListener('focus', (e) => {
+            if (e.target.value.trim()) {
+                this.renderSearchResults(e.target.value);
+            }
+        });
         
-        this.currentRegion = region;
-        this.currentCuisine = null;
+        globalSearch.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.moveSearchSelection(e.key === 'ArrowDown' ? 1 : -1);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.selectSearchResult(this.search.active);
+            } else if (e.key === 'Escape') {
+                e.target.blur();
+            }
+        });
         
-        try {
-            this.updateStatus('loading', `Loading data for region ${region}...`);
-            this.log(`Loading regional data for: ${region}`);
-
-            const regionalData = await this.loadRegionalData(region);
-            this.log('Regional data loaded:', regionalData.metadata);
-
-            this.updateEcosystemPanel(regionalData);
-
-            this.populateCuisineSelector();
-
-            this.updateRegionalInsights(regionalData);
-            
-            this.updateStatus('ready', `Region ${region} loaded successfully`);
+        document.getElementById('globalSearchResults').addEventListener('mousedown', (e) => {
+            const item = e.target.closest('[data-search-index]');
             
-        } catch (error) {
-            this.error('Error loading regional data:', error);
-            this.updateStatus('error', `Failed to load data for region ${region} - Check console`);
-        }
-    }
-    
-    async onCuisineSelected(cuisine) {
-        if (!cuisine || !this.currentRegion) {
-            this.log('Invalid cuisine selection - missing cuisine or region');
-            return;
-        }
+            if (item) {
+                e.preventDefault();
+                this.selectSearchResult(Number(item.dataset.searchIndex));
+            }
+        });
         
-        this.currentCuisine = cuisine;
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('#globalSearch')) {
+                this.hideSearchResults();
+            }
+        });
         
-        try {
-            this.updateStatus('loading', `Analyzing ${cuisine} cuisine in region ${this.currentRegion}...`);
-            this.log(`Loading data for ${cuisine} in ${this.currentRegion}`);
-
-            this.clearCuisineContent();
-
-            const cuisineData = await this.loadCuisineData(cuisine);
-            this.log('Cuisine data loaded:', {
-                market_overview: cuisineData.market_overview,
-                has_popular_dishes: !!(cuisineData.popular_dishes?.popularity)
-            });
-            
-            const competitiveData = await this.loadCompetitiveData(this.currentRegion, cuisine);
-            this.log('Competitive data loaded:', {
-                metadata: competitiveData.metadata,
-                competitor_count: competitiveData.key_competitors?.length || 0,
-                has_menu_optimization: !!competitiveData.menu_optimization
-            });
-
-            await this.updateAllPanels(cuisineData, competitiveData);
-            
-            this.updateStatus('ready', `${cuisine} analysis complete for region ${this.currentRegion}`);
-            
-        } catch (error) {
-            this.error('Error in cuisine analysis:', error);
-            this.updateStatus('error', `Failed to analyze ${cuisine} cuisine - Check console`);
-            this.showErrorInPanels(error.message);
-        }
-    }
-    
-    clearCuisineContent() {
-        const elements = [
-            'cuisineBreakdown',
-            'competitorList', 
-            'opportunityGrid'
-        ];
+        document.getElementById('competitorModalClose').addEventListener('click', () => {
+            this.hideCompetitorProfile();
+        });
         
-        elements.forEach(elementId => {
-            const element = document.getElementById(elementId);
-            if (element) {
-                element.innerHTML = '';
-                this.log(`Cleared ${elementId}`);
+        document.getElementById('competitorModal').addEventListener('click', (e) => {
+            if (e.target.id === 'competitorModal') {
+                this.hideCompetitorProfile();
             }
         });
-    }
-    
-    async updateAllPanels(cuisineData, competitiveData) {
-        try {
-            this.log('Updating all panels...');
-
-            await this.updateCuisinePanel(cuisineData, competitiveData);
-            await this.updateCompetitivePanel(competitiveData);
-            await this.updateOpportunitiesPanel(cuisineData, competitiveData);
-
-            this.generateComprehensiveInsights(cuisineData, competitiveData);
-            
-            this.log('All panels updated successfully');
-            
-        } catch (error) {
-            this.error('Error updating panels:', error);
-            throw error;
-        }
-    }
-    
-    showErrorInPanels(errorMessage) {
-        const panels = [
-            { content: 'cuisineContent', empty: 'cuisineEmpty' },
-            { content: 'competitiveContent', empty: 'competitiveEmpty' },
-            { content: 'opportunitiesContent', empty: 'opportunitiesEmpty' }
-        ];
         
-        panels.forEach(panel => {
-            const contentEl = document.getElementById(panel.content);
-            const emptyEl = document.getElementById(panel.empty);
+        document.getElementById('competitorList').addEventListener('click', (e) => {
+            const row = e.target.closest('[data-business-id]');
             
-            if (contentEl && emptyEl) {
-                contentEl.style.display = 'none';
-                emptyEl.style.display = 'block';
-                emptyEl.innerHTML = `
-                    <div class="empty-state">
-                        <div class="empty-state-icon">Error</div>
-                        <p>Error loading data: ${errorMessage}</p>
-                        <p><small>Check browser console for details</small></p>
-                    </div>
-                `;
+            if (row) {
+                this.openCompetitorProfile(row.dataset.businessId);
             }
         });
-    }
-    
-    async loadRegionalData(region) {
-        const cacheKey = `region_${region}`;
         
-        if (this.dataCache.has(cacheKey)) {
-            this.log(`Using cached regional data for ${region}`);
-            return this.dataCache.get(cacheKey);
-        }
+        document.getElementById('scoringButton').addEventListener('click', () => {
+            this.showScoringModal();
+        });
         
-        try {
-            const url = `${this.basePath}data/regions/${region}.json`;
-            this.log(`Fetching regional data from: ${url}`);
-            
-            const response = await fetch(url);
-            if (!response.ok) {
-                throw new Error(`Failed to fetch regional data: ${response.status} ${response.statusText}`);
+        document.getElementById('scoringModalClose').addEventListener('click', () => {
+            this.hideScoringModal();
+        });
+        
+        document.getElementById('scoringModal').addEventListener('click', (e) => {
+            if (e.target.id === 'scoringModal') {
+                this.hideScoringModal();
             }
+        });
+        
+        document.getElementById('scoringApply').addEventListener('click', () => {
+            this.applyScoringWeights();
+        });
+        
+        document.getElementById('scoringReset').addEventListener('click', () => {
+            this.resetScoringWeights();
+        });
+        
+        document.addEventListener('click', (e) => {
+            const trigger = e.target.closest('[data-score-breakdown]');
             
-            const data = await response.json();
-            this.dataCache.set(cacheKey, data);
-            this.log(`Regional data cached for ${region}`);
-            return data;
+            if (trigger) {
+                this.showScoreBreakdown(trigger);
+            } else if (!e.target.closest('#scoreBreakdown')) {
+                this.hideScoreBreakdown();
+            }
+        });
+
+        document.getElementById('copyLinkButton').addEventListener('click', () => {
+            this.copyShareLink();
+        });
+        
+        document.getElementById('printReportButton').addEventListener('click', () => {
+            this.printReport();
+        });
+        
+        document.getElementById('exportReportButton').addEventListener('click', () => {
+            this.exportReport();
+        });
+        
+        document.getElementById('competitorFilter').addEventListener('input', (e) => {
+            this.competitorTable.filter = e.target.value;
+            this.competitorTable.page = 1;
+            this.renderCompetitorTable();
+        });
+        
+        document.querySelectorAll('[data-threat-chip]').forEach(chip => {
+            chip.addEventListener('click', () => {
+                const threat = chip.dataset.threatChip;
+                const threats = this.competitorTable.threats;
+                
+                this.competitorTable.threats = threats.includes(threat)
+                    ? threats.filter(item => item !== threat)
+                    : [...threats, threat];
+                this.competitorTable.page = 1;
+                this.renderCompetitorTable();
+            });
+        });
+        
+        document.querySelectorAll('[data-competitive-tab]').forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.showCompetitiveTab(tab.dataset.competitiveTab);
+            });
+        });
+        
+        document.querySelectorAll('[data-cuisine-metric]').forEach(button => {
+            button.addEventListener('click', () => {
+                const metric = button.dataset.cuisineMetric;
+                this.setPanelState('cmetric', metric === 'count' ? null : metric);
+                
+                if (this.currentCuisineData) {
+                    this.createCuisineChart(this.currentCuisineData, this.currentCompetitiveData, 'regional_variations');
+                }
+            });
+        });
+        
+        document.getElementById('explorerCuisineSelect').addEventListener('change', (e) => {
+            this.setPanelState('xcuisine', e.target.value);
+            this.renderCuisineExplorer();
+        });
+        
+        document.querySelectorAll('[data-opportunity-filter]').forEach(chip => {
+            chip.addEventListener('click', () => {
+                const filter = chip.dataset.opportunityFilter;
+                this.setPanelState('ofilter', filter === 'all' ? null : filter);
+                
+                if (this.currentCompetitiveData) {
+                    this.updateOpportunitiesPanel(this.currentCuisineData, this.currentCompetitiveData);
+                }
+            });
+        });
+        
+        document.getElementById('myRestaurantForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.applyMyRestaurant(this.readMyRestaurantForm());
+        });
+        
+        document.getElementById('myRestaurantImport').addEventListener('change', (e) => {
+            const [file] = e.target.files;
             
-        } catch (error) {
-            this.error(`Failed to load regional data for ${region}:`, error);
-            throw error;
+            if (file) {
+                this.importMyRestaurant(file);
+            }
+            e.target.value = '';
+        });
+        
+        document.getElementById('myRestaurantClear').addEventListener('click', () => {
+            this.clearMyRestaurant();
+        });
+        
+        document.getElementById('heatmapMetric').addEventListener('change', (e) => {
+            this.setPanelState('hmetric', e.target.value === 'restaurant_count' ? null : e.target.value);
+            this.renderMarketHeatmap();
+        });
+        
+        document.getElementById('competitorPrev').addEventListener('click', () => {
+            this.competitorTable.page -= 1;
+            this.renderCompetitorTable();
+        });
+        
+        document.getElementById('competitorNext').addEventListener('click', () => {
+            this.competitorTable.page += 1;
+            this.renderCompetitorTable();
+        });
+        
+        document.querySelectorAll('[data-export]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.exportPanelData(button.dataset.export, button.dataset.format);
+            });
+        });
+
+        document.querySelectorAll('[data-view]').forEach(button => {
+            button.addEventListener('click', () => {
+                const view = button.dataset.view;
+                if (this.activeView === view) {
+                    this.hideView();
+                } else {
+                    this.showView(view);
+                }
+            });
+        });
+        
+        document.querySelectorAll('[data-close-view]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.hideView();
+            });
+        });
+        
+        window.addEventListener('popstate', () => {
+            this.log('History navigation detected, restoring view from URL');
+            this.restoreUrlState(this.readUrlState());
+        });
+        
+        window.addEventListener('beforeprint', () => {
+            this.competitorTable.printing = true;
+            this.renderCompetitorTable();
+        });
+        
+        window.addEventListener('afterprint', () => {
+            this.competitorTable.printing = false;
+            this.renderCompetitorTable();
+        });
+    }
+    
+    readUrlState() {
+        const params = new URLSearchParams(window.location.search);
+        const state = {
+            region: params.get('region') || null,
+            cuisine: params.get('cuisine') || null,
+            panels: {}
+        };
+        
+        params.forEach((value, key) => {
+            if (key !== 'region' && key !== 'cuisine') {
+                state.panels[key] = value;
+            }
+        });
+        
+        return state;
+    }
+    
+    buildShareUrl() {
+        const params = new URLSearchParams();
+        
+        if (this.currentRegion) params.set('region', this.currentRegion);
+        if (this.currentCuisine) params.set('cuisine', this.currentCuisine);
+        
+        Object.entries(this.panelState).forEach(([key, value]) => {
+            if (value !== null && value !== undefined && value !== '') {
+                params.set(key, value);
+            }
+        });
+        
+        const query = params.toString();
+        return `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    }
+    
+    updateUrlState({ replace = false } = {}) {
+        const url = this.buildShareUrl();
+        const currentUrl = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+        
+        if (url === currentUrl) {
+            return;
+        }
+        
+        const state = {
+            region: this.currentRegion,
+            cuisine: this.currentCuisine,
+            panels: { ...this.panelState }
+        };
+        
+        if (replace) {
+            window.history.replaceState(state, '', url);
+        } else {
+            window.history.pushState(state, '', url);
         }
+        
+        this.log(`URL state ${replace ? 'replaced' : 'pushed'}: ${url}`);
     }
     
-    async loadCuisineData(cuisine) {
-        const cacheKey = `cuisine_${cuisine}`;
+    setPanelState(key, value, { replace = true } = {}) {
+        if (value === null || value === undefined || value === '') {
+            delete this.panelState[key];
+        } else {
+            this.panelState[key] = String(value);
+        }
         
-        this.log(`Loading cuisine data for: ${cuisine} (cache key: ${cacheKey})`);
+        this.updateUrlState({ replace });
+    }
+    
+    async restoreUrlState(state) {
+        this.log('Restoring view from URL state:', state);
+        this.panelState = { ...state.panels };
         
-        if (this.dataCache.has(cacheKey)) {
-            this.log(`Using cached cuisine data for ${cuisine}`);
-            return this.dataCache.get(cacheKey);
+        await this.restoreSelectionState(state);
+        await this.restoreViewState();
+    }
+    
+    async restoreViewState() {
+        const view = this.panelState.view;
+        
+        if (view && view !== this.activeView) {
+            await this.showView(view, { updateHistory: false });
+        } else if (view) {
+            await this.renderView(view);
+        } else if (this.activeView) {
+            this.hideView({ updateHistory: false });
         }
         
+        if (this.panelState.competitor) {
+            await this.openCompetitorProfile(this.panelState.competitor, { updateHistory: false });
+        } else {
+            this.hideCompetitorProfile({ updateHistory: false });
+        }
+    }
+    
+    async restoreSelectionState(state) {
         try {
-            const fileName = `${cuisine}_analysis.json`;
-            const url = `${this.basePath}data/cuisines/${fileName}`;
-            this.log(`Fetching cuisine data from: ${url}`);
-
-            const timestamp = new Date().getTime();
-            const response = await fetch(`${url}?t=${timestamp}`);
+            const regionSelect = document.getElementById('regionSelect');
+            const cuisineSelect = document.getElementById('cuisineSelect');
             
-            if (!response.ok) {
-                throw new Error(`Failed to fetch cuisine data: ${response.status} ${response.statusText} for ${url}`);
+            if (!state.region) {
+                if (this.currentRegion) {
+                    regionSelect.value = '';
+                    this.currentRegion = null;
+                    this.currentCuisine = null;
+                    this.currentRegionalData = null;
+                    this.currentCuisineData = null;
+                    this.currentCompetitiveData = null;
+                    this.clearAllPanels();
+                }
+                return;
             }
             
-            const data = await response.json();
-            this.log(`Cuisine data loaded for ${cuisine}:`, {
-                total_restaurants: data.market_overview?.total_restaurants,
-                has_popular_dishes: !!(data.popular_dishes?.popularity),
-                popular_dishes_count: data.popular_dishes?.popularity?.length
-            });
-            
-            this.dataCache.set(cacheKey, data);
-            return data;
+            if (state.region !== this.currentRegion) {
+                regionSelect.value = state.region;
+                
+                if (regionSelect.value !== state.region || !this.isRegionAnalyzed(state.region)) {
+                    regionSelect.value = this.currentRegion || '';
+                    this.error(`Region ${state.region} from URL is not available`);
+                    this.updateStatus('error', `Region ${state.region} from the link is not available`);
+                    return;
+                }
+                
+                await this.onRegionSelected(state.region, { updateHistory: false });
+            }
             
+            if (state.cuisine && state.cuisine !== this.currentCuisine) {
+                cuisineSelect.value = state.cuisine;
+                
+                if (cuisineSelect.value !== state.cuisine) {
+                    this.error(`Cuisine ${state.cuisine} from URL is not available`);
+                    this.updateStatus('error', `Cuisine ${state.cuisine} from the link is not available`);
+                    return;
+                }
+                
+                await this.onCuisineSelected(state.cuisine, { updateHistory: false });
+            } else if (!state.cuisine && this.currentCuisine) {
+                cuisineSelect.value = '';
+                this.currentCuisine = null;
+                this.currentCuisineData = null;
+                this.currentCompetitiveData = null;
+                this.resetCuisinePanels();
+            }
         } catch (error) {
-            this.error(`Failed to load cuisine data for ${cuisine}:`, error);
-            throw error;
+            this.error('Error restoring URL state:', error);
         }
     }
     
-    async loadCompetitiveData(region, cuisine) {
-        const cacheKey = `competitive_${region}_${cuisine}`;
+    async showView(view, { updateHistory = true } = {}) {
+        const viewElement = document.getElementById(`${view}View`);
         
-        if (this.dataCache.has(cacheKey)) {
-            this.log(`Using cached competitive data for ${region}_${cuisine}`);
-            return this.dataCache.get(cacheKey);
+        if (!viewElement) {
+            this.error(`Unknown view requested: ${view}`);
+            return;
         }
         
-        try {
-            const fileName = `${region}_${cuisine}.json`;
-            const url = `${this.basePath}data/competitive/${fileName}`;
-            this.log(`Fetching competitive data from: ${url}`);
-
-            const timestamp = new Date().getTime();
-            const response = await fetch(`${url}?t=${timestamp}`);
-            
-            if (!response.ok) {
-                throw new Error(`Failed to fetch competitive data: ${response.status} ${response.statusText} for ${url}`);
-            }
-            
-            const data = await response.json();
-            this.log(`Competitive data loaded for ${region}_${cuisine}:`, {
-                metadata: data.metadata,
-                competitor_count: data.key_competitors?.length || 0,
-                menu_optimization_status: data.menu_optimization?.status || 'available',
-                popular_dishes_count: data.menu_optimization?.regional_popular_dishes?.length || 0
-            });
-            
-            this.dataCache.set(cacheKey, data);
-            return data;
-            
-        } catch (error) {
-            this.error(`Failed to load competitive data for ${region}_${cuisine}:`, error);
-            throw error;
+        document.querySelectorAll('.view-panel').forEach(element => {
+            element.style.display = element === viewElement ? 'block' : 'none';
+        });
+        
+        document.querySelectorAll('[data-view]').forEach(button => {
+            button.classList.toggle('active', button.dataset.view === view);
+        });
+        
+        this.activeView = view;
+        
+        if (updateHistory) {
+            this.setPanelState('view', view, { replace: false });
         }
+        
+        this.log(`View shown: ${view}`);
+        await this.renderView(view);
     }
     
-    updateEcosystemPanel(regionalData) {
-        const ecosystemContent = document.getElementById('ecosystemContent');
-        const ecosystemEmpty = document.getElementById('ecosystemEmpty');
+    hideView({ updateHistory = true } = {}) {
+        document.querySelectorAll('.view-panel').forEach(element => {
+            element.style.display = 'none';
+        });
         
+        document.querySelectorAll('[data-view]').forEach(button => {
+            button.classList.remove('active');
+        });
+        
+        this.log(`View hidden: ${this.activeView}`);
+        this.activeView = null;
+        
+        if (updateHistory) {
+            this.setPanelState('view', null, { replace: false });
+        }
+    }
+    
+    async renderView(view) {
         try {
-            if (regionalData.market_overview || regionalData.competitive_environment) {
-                ecosystemEmpty.style.display = 'none';
-                ecosystemContent.style.display = 'block';
-                
-                const overview = regionalData.market_overview || {};
-                const competitive = regionalData.competitive_environment || {};
-                const landscape = regionalData.cuisine_landscape || {};
-                const opportunities = regionalData.market_opportunities || [];
-
-                const diversityScore = this.calculateDiversityScore(overview, landscape);
-                const saturationLevel = this.mapSaturationLevel(competitive.competition_intensity);
-                const opportunityScore = this.calculateOpportunityScore(opportunities, overview);
-                const customerLevel = this.mapCustomerLevel(competitive.overall_quality);
-
-                document.getElementById('diversityScore').textContent = diversityScore;
-                document.getElementById('saturationLevel').textContent = saturationLevel;
-                document.getElementById('opportunityScore').textContent = opportunityScore;
-                document.getElementById('customerSophistication').textContent = customerLevel;
-
-                this.createEcosystemChart({
-                    diversity_score: diversityScore / 100,
-                    opportunity_score: opportunityScore / 100,
-                    competition_intensity: competitive.competition_intensity,
-                    market_quality: competitive.overall_quality
-                }, overview);
-                
-                this.log('Ecosystem panel updated successfully with real data', {
-                    diversityScore,
-                    saturationLevel,
-                    opportunityScore,
-                    customerLevel
-                });
-            } else {
-                ecosystemContent.style.display = 'none';
-                ecosystemEmpty.style.display = 'block';
-                this.log('No ecosystem data available - showing empty state');
+            switch (view) {
+                case 'regionComparison':
+                    await this.renderRegionComparison();
+                    break;
+                case 'cuisineComparison':
+                    await this.renderCuisineComparison();
+                    break;
+                case 'regionLeaderboard':
+                    await this.renderRegionLeaderboard();
+                    break;
+                case 'cuisineExplorer':
+                    await this.renderCuisineExplorer();
+                    break;
+                case 'siteWizard':
+                    await this.renderSiteWizard();
+                    break;
+                case 'launchPlan':
+                    this.renderLaunchPlan();
+                    break;
+                case 'marketHeatmap':
+                    await this.renderMarketHeatmap();
+                    break;
+                case 'myRestaurant':
+                    await this.renderMyRestaurant();
+                    break;
+                default:
+                    this.log(`No renderer registered for view: ${view}`);
             }
         } catch (error) {
-            this.error('Error updating ecosystem panel:', error);
+            this.error(`Error rendering view ${view}:`, error);
+            this.updateStatus('error', `Failed to render ${view} view - Check console`);
         }
     }
     
-    calculateDiversityScore(overview, landscape) {
-        const cuisineCount = overview.cuisine_diversity || 0;
-        const totalRestaurants = overview.total_restaurants || 1;
-
-        let diversityScore = Math.min(100, (cuisineCount / totalRestaurants) * 1000);
-
-        if (landscape.emerging_cuisines && landscape.emerging_cuisines.length > 0) {
-            diversityScore += landscape.emerging_cuisines.length * 5;
-        }
+    async copyShareLink() {
+        const link = new URL(this.buildShareUrl(), window.location.href).toString();
         
-        return Math.min(100, Math.round(diversityScore));
-    }
-    
-    mapSaturationLevel(competitionIntensity) {
-        const mapping = {
-            'low': 'Low',
-            'medium': 'Medium',
-            'high': 'High',
-            'very_high': 'Very High'
-        };
-        return mapping[competitionIntensity] || 'Medium';
+        try {
+            await navigator.clipboard.writeText(link);
+            this.updateStatus('ready', 'Link to this view copied to clipboard');
+        } catch (error) {
+            this.error('Failed to copy link:', error);
+            window.prompt('Copy this link to share the current view:', link);
+        }
     }
     
-    calculateOpportunityScore(opportunities, overview) {
-        let score = 50;
+    populateRegionSelector() {
+        const select = document.getElementById('regionSelect');
+        select.innerHTML = '<option value="">Select a region...</option>';
         
-        if (opportunities && opportunities.length > 0) {
-            score += opportunities.length * 10;
-
-            const highPotentialOpps = opportunities.filter(opp => opp.potential === 'high');
-            score += highPotentialOpps.length * 15;
+        if (this.dataManifest) {
+            this.populateGroupedRegionSelector(select);
+            return;
         }
+        
+        document.getElementById('regionSearch').style.display = 'none';
 
-        const totalRestaurants = overview.total_restaurants || 0;
-        if (totalRestaurants < 50) {
-            score += 20;
-        } else if (totalRestaurants < 100) {
-            score += 10;
+        const regions = this.dataIndex.coverage?.regions?.top_regions || [];
+        this.log('Available regions:', regions);
+        
+        if (regions.length === 0) {
+            this.error('No regions found in data index');
+            return;
         }
         
-        return Math.min(100, Math.round(score));
+        regions.forEach(region => {
+            const option = document.createElement('option');
+            option.value = region;
+            option.textContent = `${region} (Region)`;
+            select.appendChild(option);
+        });
+        
+        this.log(`Loaded ${regions.length} regions into selector`);
     }
     
-    mapCustomerLevel(overallQuality) {
-        const mapping = {
-            'low': 'Basic',
-            'medium': 'Moderate',
-            'high': 'Sophisticated',
-            'very_high': 'Expert'
-        };
-        return mapping[overallQuality] || 'Moderate';
+    populateGroupedRegionSelector(select, term = '') {
+        const groups = new Map();
+        let matchCount = 0;
+        
+        Object.entries(this.dataManifest.regions).forEach(([region, info]) => {
+            const location = info.city ? `${info.city}, ${info.state}` : 'Unknown location';
+            const matches = !term || `${region} ${location}`.toLowerCase().includes(term);
+            
+            if (!matches && region !== this.currentRegion) {
+                return;
+            }
+            
+            if (matches) matchCount++;
+            
+            if (!groups.has(location)) {
+                groups.set(location, { regions: [], inferred: false });
+            }
+            const group = groups.get(location);
+            group.regions.push(region);
+            group.inferred = group.inferred || info.location_source === 'zip_prefix';
+        });
+        
+        const sortedGroups = [...groups.entries()].sort(([a], [b]) => {
+            if (a === 'Unknown location') return 1;
+            if (b === 'Unknown location') return -1;
+            return a.localeCompare(b);
+        });
+        
+        sortedGroups.forEach(([location, group]) => {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = group.inferred && location !== 'Unknown location' ? `${location} area` : location;
+            
+            group.regions.sort().forEach(region => {
+                const info = this.getRegionInfo(region);
+                const option = document.createElement('option');
+                option.value = region;
+                option.textContent = this.formatRegionOption(region, info);
+                option.disabled = !this.isRegionAnalyzed(region);
+                optgroup.appendChild(option);
+            });
+            
+            select.appendChild(optgroup);
+        });
+        
+        const listed = Object.keys(this.dataManifest.regions).length;
+        const reported = this.dataManifest.metadata?.index_region_count ?? this.dataIndex.coverage?.regions?.total_available ?? 0;
+        
+        if (!term && reported > listed) {
+            const note = document.createElement('option');
+            note.disabled = true;
+            note.textContent = `${reported - listed} more ZIPs counted by the pipeline have no data files`;
+            select.appendChild(note);
+        }
+        
+        if (matchCount === 0) {
+            const empty = document.createElement('option');
+            empty.disabled = true;
+            empty.textContent = 'No regions match your search';
+            select.appendChild(empty);
+        }
+        
+        select.value = this.currentRegion || '';
+        
+        const analyzed = Object.keys(this.dataManifest.regions).filter(region => this.isRegionAnalyzed(region));
+        this.log(`Loaded ${listed} of ${reported || listed} regions into selector (${analyzed.length} analyzed)`);
     }
     
-    createEcosystemChart(healthData, overviewData) {
-        const ctx = document.getElementById('ecosystemChart').getContext('2d');
+    formatRegionOption(region, info) {
+        const parts = [region];
+        
+        if (info.restaurant_count !== null && info.restaurant_count !== undefined) {
+            const scope = info.counts_scope === 'main_cuisines' ? ' in main cuisines' : '';
+            parts.push(`${info.restaurant_count} restaurants${scope}`);
+        }
+        
+        if (typeof info.average_rating === 'number') {
+            parts.push(`${info.average_rating.toFixed(2)} avg`);
+        }
+        
+        if (!this.isRegionAnalyzed(region)) {
+            parts.push('no analysis');
+        }
+        
+        return parts.join(' · ');
+    }
+    
+    filterRegionOptions(query) {
+        const select = document.getElementById('regionSelect');
+        const term = query.trim().toLowerCase();
+        
+        if (!this.dataManifest) {
+            return;
+        }
+        
+        select.innerHTML = '<option value="">Select a region...</option>';
+        this.populateGroupedRegionSelector(select, term);
+        
+        this.log(`Region options filtered by "${term}"`);
+    }
+    
+    showRegionWithoutEcosystem(region) {
+        const ecosystemContent = document.getElementById('ecosystemContent');
+        const ecosystemEmpty = document.getElementById('ecosystemEmpty');
+        const location = this.formatRegionLocation(region);
         
         if (this.charts.ecosystem) {
             this.charts.ecosystem.destroy();
+            delete this.charts.ecosystem;
+        }
+        
+        ecosystemContent.style.display = 'none';
+        ecosystemEmpty.style.display = 'block';
+        ecosystemEmpty.innerHTML = `
+            <div class="empty-state-icon">Market Ecosystem</div>
+            <p>No region-level ecosystem analysis for ${region}${location ? ` (${location})` : ''}</p>
+            <p><small>Cuisine-level competitive analysis is available - pick a cuisine to continue</small></p>
+        `;
+        
+        this.displayInsights([{
+            title: 'Limited Regional Coverage',
+            description: `The pipeline produced cuisine-level competitive files for ${region} but no regional ecosystem analysis. Select a cuisine to review competitors, opportunities and risks.`
+        }]);
+    }
+    
+    async onRegionSelected(region, { updateHistory = true } = {}) {
+        if (!region) {
+            this.currentRegion = null;
+            this.currentCuisine = null;
+            this.currentRegionalData = null;
+            this.currentCuisineData = null;
+            this.currentCompetitiveData = null;
+            this.clearAllPanels();
+            if (updateHistory) this.updateUrlState();
+            return;
         }
         
+        this.currentRegion = region;
+        this.currentCuisine = null;
+        this.currentCuisineData = null;
+        this.currentCompetitiveData = null;
+        
+        if (updateHistory) this.resetRegionPanelState();
+        
+        let failed = false;
+        
         try {
-            this.charts.ecosystem = new Chart(ctx, {
-                type: 'radar',
-                data: {
-                    labels: ['Diversity', 'Opportunity', 'Customer Level', 'Market Health'],
-                    datasets: [{
-                        label: 'Market Ecosystem',
-                        data: [
-                            (healthData.diversity_score || 0.5) * 100,
-                            (healthData.opportunity_score || 0.5) * 100,
-                            70,
-                            ((healthData.diversity_score + healthData.opportunity_score) / 2 || 0.5) * 100
-                        ],
-                        backgroundColor: 'rgba(102, 126, 234, 0.2)',
-                        borderColor: 'rgba(102, 126, 234, 1)',
-                        pointBackgroundColor: 'rgba(102, 126, 234, 1)',
-                        pointBorderColor: '#fff',
-                        pointHoverBackgroundColor: '#fff',
-                        pointHoverBorderColor: 'rgba(102, 126, 234, 1)'
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    scales: {
-                        r: {
-                            angleLines: { display: true },
-                            suggestedMin: 0,
-                            suggestedMax: 100
-                        }
-                    },
-                    plugins: { legend: { display: false } }
+            this.resetCuisinePanels();
+
+            this.updateStatus('loading', `Loading data for region ${region}...`);
+            
+            if (!this.hasRegionAnalysis(region)) {
+                this.log(`No regional analysis file for ${region}, showing cuisine-level data only`);
+                this.currentRegionalData = null;
+                this.showRegionWithoutEcosystem(region);
+                this.populateCuisineSelector();
+                this.updateStatus('ready', `Region ${region} loaded (cuisine-level analysis only)`);
+                
+                if (this.activeView) {
+                    await this.renderView(this.activeView);
+                }
+                return;
+            }
+            
+            this.log(`Loading regional data for: ${region}`);
+
+            const regionalData = await this.loadRegionalData(region);
+            this.currentRegionalData = regionalData;
+            this.log('Regional data loaded:', regionalData.metadata);
+
+            await this.updateEcosystemPanel(regionalData);
+
+            this.populateCuisineSelector();
+
+            this.updateRegionalInsights(regionalData);
+            
+            this.updateStatus('ready', `Region ${region} loaded successfully`);
+            
+            if (this.activeView) {
+                await this.renderView(this.activeView);
+            }
+            
+        } catch (error) {
+            failed = true;
+            this.error('Error loading regional data:', error);
+            this.updateStatus('error', `Failed to load data for region ${region} - Check console`);
+        } finally {
+            if (updateHistory && !failed) this.updateUrlState();
+        }
+    }
+    
+    resetRegionPanelState() {
+        ['sort', 'ctab', 'ofilter', 'competitor'].forEach(key => delete this.panelState[key]);
+        this.competitorTable.sortKey = 'competitor_score';
+        this.competitorTable.sortDir = 'desc';
+        this.hideCompetitorProfile({ updateHistory: false });
+    }
+    
+    async onCuisineSelected(cuisine, { updateHistory = true } = {}) {
+        if (!cuisine || !this.currentRegion) {
+            this.log('Invalid cuisine selection - missing cuisine or region');
+            return;
+        }
+        
+        this.currentCuisine = cuisine;
+        
+        let failed = false;
+        
+        try {
+            this.updateStatus('loading', `Analyzing ${cuisine} cuisine in region ${this.currentRegion}...`);
+            this.log(`Loading data for ${cuisine} in ${this.currentRegion}`);
+
+            this.clearCuisineContent();
+            
+            const availability = this.getCuisineAvailability(this.currentRegion, cuisine);
+            if (availability?.status === 'missing') {
+                this.currentCuisineData = null;
+                this.currentCompetitiveData = null;
+                this.showInsufficientDataState(cuisine, {
+                    message: `No ${cuisine} analysis was produced for region ${this.currentRegion}`
+                });
+                this.updateStatus('ready', `No ${cuisine} data for region ${this.currentRegion}`);
+                return;
+            }
+
+            const cuisineData = await this.loadCuisineData(cuisine);
+            this.log('Cuisine data loaded:', {
+                market_overview: cuisineData.market_overview,
+                has_popular_dishes: !!(cuisineData.popular_dishes?.popularity)
+            });
+            
+            let competitiveData;
+            try {
+                competitiveData = await this.loadCompetitiveData(this.currentRegion, cuisine);
+            } catch (error) {
+                if (error.status !== 404) {
+                    throw error;
+                }
+                this.currentCuisineData = cuisineData;
+                this.currentCompetitiveData = null;
+                this.showInsufficientDataState(cuisine, {
+                    message: `No ${cuisine} analysis was produced for region ${this.currentRegion}`
+                });
+                this.updateStatus('ready', `No ${cuisine} data for region ${this.currentRegion}`);
+                return;
+            }
+            this.log('Competitive data loaded:', {
+                metadata: competitiveData.metadata,
+                competitor_count: competitiveData.key_competitors?.length || 0,
+                has_menu_optimization: !!competitiveData.menu_optimization
+            });
+
+            this.currentCuisineData = cuisineData;
+            this.currentCompetitiveData = competitiveData;
+            
+            if (competitiveData.metadata?.data_quality === 'insufficient_data') {
+                this.showInsufficientDataState(cuisine, competitiveData.market_saturation || {});
+                this.showMarketGapView(cuisine, cuisineData, competitiveData);
+                this.updateStatus('ready', `Insufficient data for ${cuisine} in region ${this.currentRegion}`);
+                return;
+            }
+            
+            await this.updateAllPanels(cuisineData, competitiveData);
+            
+            this.updateStatus('ready', `${cuisine} analysis complete for region ${this.currentRegion}`);
+            
+        } catch (error) {
+            failed = true;
+            this.error('Error in cuisine analysis:', error);
+            this.updateStatus('error', `Failed to analyze ${cuisine} cuisine - Check console`);
+            this.showErrorInPanels(error.message);
+        } finally {
+            if (updateHistory && !failed) this.updateUrlState();
+            
+            if (this.activeView === 'launchPlan') {
+                await this.renderView('launchPlan');
+            }
+        }
+    }
+    
+    clearCuisineContent() {
+        this.hideMarketGapView();
+        
+        const elements = [
+            'cuisineBreakdown',
+            'competitorList', 
+            'opportunityGrid'
+        ];
+        
+        elements.forEach(elementId => {
+            const element = document.getElementById(elementId);
+            if (element) {
+                element.innerHTML = '';
+                this.log(`Cleared ${elementId}`);
+            }
+        });
+    }
+    
+    async updateAllPanels(cuisineData, competitiveData) {
+        try {
+            this.log('Updating all panels...');
+
+            await this.updateCuisinePanel(cuisineData, competitiveData);
+            await this.updateCompetitivePanel(competitiveData);
+            await this.updateOpportunitiesPanel(cuisineData, competitiveData);
+            await this.updateMenuPanel(competitiveData);
+
+            this.generateComprehensiveInsights(cuisineData, competitiveData);
+            
+            this.log('All panels updated successfully');
+            
+        } catch (error) {
+            this.error('Error updating panels:', error);
+            throw error;
+        }
+    }
+    
+    showInsufficientDataState(cuisine, details) {
+        const message = details.message || `Not enough ${cuisine} restaurants in region ${this.currentRegion} for analysis`;
+        const counts = details.actual_count !== undefined
+            ? `<p><small>Restaurants found: ${details.actual_count} &middot; Minimum required: ${details.minimum_required ?? 'N/A'}</small></p>`
+            : '';
+        
+        if (this.charts.cuisine) {
+            this.charts.cuisine.destroy();
+            delete this.charts.cuisine;
+        }
+        
+        [
+            { content: 'cuisineContent', empty: 'cuisineEmpty' },
+            { content: 'competitiveContent', empty: 'competitiveEmpty' },
+            { content: 'opportunitiesContent', empty: 'opportunitiesEmpty' },
+            { content: 'menuContent', empty: 'menuEmpty' }
+        ].forEach(panel => {
+            document.getElementById(panel.content).style.display = 'none';
+            const emptyEl = document.getElementById(panel.empty);
+            emptyEl.style.display = 'block';
+            emptyEl.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">Insufficient Data</div>
+                    <p>${message}</p>
+                    ${counts}
+                </div>
+            `;
+        });
+        
+        this.displayInsights([{
+            title: 'Insufficient Data',
+            description: `${message}. Try another cuisine for this region, or another region for ${cuisine}.`
+        }]);
+        
+        this.log(`Insufficient data state shown for ${cuisine} in ${this.currentRegion}`, details);
+    }
+    
+    showMarketGapView(cuisine, cuisineData, competitiveData) {
+        const panel = document.getElementById('marketGapPanel');
+        const container = document.getElementById('marketGapContent');
+        const region = this.currentRegion;
+        const label = this.formatCuisineLabel(cuisine);
+        const saturation = competitiveData.market_saturation || {};
+        const national = cuisineData?.national_overview || {};
+        const regionalOpportunity = (this.currentRegionalData?.market_opportunities || [])
+            .find(opp => opp.cuisine === cuisine);
+        const potentialRank = { high: 0, medium: 1, low: 2 };
+        const otherMarkets = (cuisineData?.market_opportunities || [])
+            .filter(opp => opp.region !== region)
+            .sort((a, b) => (potentialRank[a.potential] ?? 3) - (potentialRank[b.potential] ?? 3) ||
+                (b.market_quality || 0) - (a.market_quality || 0));
+        
+        document.getElementById('marketGapTitle').textContent = `Market Gap: ${label} in ${region}`;
+        
+        const regionalSignal = regionalOpportunity
+            ? `
+                <div class="opportunity-card">
+                    <div class="opportunity-header">
+                        <div class="opportunity-title">${this.escapeHtml(regionalOpportunity.opportunity)}</div>
+                        <div class="opportunity-score">${regionalOpportunity.potential || 'unknown'} potential</div>
+                    </div>
+                    <p>Flagged in the regional analysis as <strong>${(regionalOpportunity.type || 'opportunity').replace(/_/g, ' ')}</strong>.</p>
+                </div>
+            `
+            : `
+                <div class="opportunity-card">
+                    <p>${this.currentRegionalData
+                        ? `The regional analysis for ${region} does not list a ${label} opportunity.`
+                        : `No regional analysis is available for ${region}.`}</p>
+                </div>
+            `;
+        
+        const marketRows = otherMarkets.map(opp => {
+            const analyzed = this.isRegionAnalyzed(opp.region);
+            return `
+                <tr class="${analyzed ? 'row-clickable' : 'row-unavailable'}"${analyzed ? ` data-gap-region="${opp.region}"` : ''}>
+                    <td><strong>${opp.region}</strong> ${this.formatRegionLocation(opp.region) || ''}</td>
+                    <td>${(opp.opportunity_type || '').replace(/_/g, ' ')}</td>
+                    <td>${opp.current_competitors ?? 'N/A'}</td>
+                    <td>${typeof opp.market_quality === 'number' ? opp.market_quality.toFixed(2) : 'N/A'}</td>
+                    <td>${opp.potential || 'unknown'}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        container.innerHTML = `
+            <div class="market-gap-summary">
+                <div class="market-gap-reason">
+                    <div class="comparison-section-title">Why there is no competitive analysis</div>
+                    <p>${this.escapeHtml(saturation.message || `Not enough ${label} restaurants in region ${region} for analysis`)}.</p>
+                    <div class="comparison-scores">
+                        <span>Restaurants found: ${saturation.actual_count ?? competitiveData.metadata?.restaurant_count ?? 0}</span>
+                        <span>Minimum required: ${saturation.minimum_required ?? 'N/A'}</span>
+                    </div>
+                    <p class="market-gap-framing">
+                        Too few local ${label} restaurants to benchmark against can also mean unserved demand.
+                        Treat ${region} as possible white space and validate demand before committing.
+                    </p>
+                </div>
+                <div class="market-gap-reason">
+                    <div class="comparison-section-title">National ${label} context</div>
+                    <div class="comparison-scores">
+                        <span>${national.total_restaurants ?? 'N/A'} restaurants</span>
+                        <span>${national.regional_presence ?? 'N/A'} regions</span>
+                        <span>${typeof national.average_rating === 'number' ? national.average_rating.toFixed(2) : 'N/A'} avg rating</span>
+                    </div>
+                </div>
+            </div>
+            <div class="comparison-section-title">Regional signal</div>
+            ${regionalSignal}
+            <div class="comparison-section-title market-gap-heading">Other ${label} expansion markets</div>
+            ${marketRows ? `
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Region</th>
+                            <th>Opportunity</th>
+                            <th>Competitors</th>
+                            <th>Market Quality</th>
+                            <th>Potential</th>
+                        </tr>
+                    </thead>
+                    <tbody>${marketRows}</tbody>
+                </table>
+            ` : `<p>No other ${label} expansion markets identified.</p>`}
+        `;
+        
+        container.querySelectorAll('tr[data-gap-region]').forEach(rowElement => {
+            rowElement.addEventListener('click', async () => {
+                await this.restoreSelectionState({ region: rowElement.dataset.gapRegion, cuisine });
+                this.updateUrlState();
+            });
+        });
+        
+        panel.style.display = 'block';
+        
+        const insights = [{
+            title: 'Possible White Space',
+            description: `${saturation.actual_count ?? 0} ${label} restaurants were found in ${region}. Limited local competition may signal an underserved market rather than a lack of demand.`
+        }];
+        
+        if (regionalOpportunity) {
+            insights.push({
+                title: 'Regional Opportunity',
+                description: `${regionalOpportunity.opportunity} (${regionalOpportunity.potential || 'unknown'} potential).`
+            });
+        }
+        
+        if (otherMarkets.length > 0) {
+            insights.push({
+                title: 'Comparable Markets',
+                description: `${otherMarkets.length} other regions show ${label} expansion potential; ${otherMarkets[0].region} ranks highest.`
+            });
+        }
+        
+        this.displayInsights(insights);
+        this.log(`Market gap view shown for ${cuisine} in ${region}`, { otherMarkets: otherMarkets.length });
+    }
+    
+    hideMarketGapView() {
+        const panel = document.getElementById('marketGapPanel');
+        
+        if (panel) {
+            panel.style.display = 'none';
+        }
+    }
+    
+    showErrorInPanels(errorMessage) {
+        const panels = [
+            { content: 'cuisineContent', empty: 'cuisineEmpty' },
+            { content: 'competitiveContent', empty: 'competitiveEmpty' },
+            { content: 'opportunitiesContent', empty: 'opportunitiesEmpty' },
+            { content: 'menuContent', empty: 'menuEmpty' }
+        ];
+        
+        panels.forEach(panel => {
+            const contentEl = document.getElementById(panel.content);
+            const emptyEl = document.getElementById(panel.empty);
+            
+            if (contentEl && emptyEl) {
+                contentEl.style.display = 'none';
+                emptyEl.style.display = 'block';
+                emptyEl.innerHTML = `
+                    <div class="empty-state">
+                        <div class="empty-state-icon">Error</div>
+                        <p>Error loading data: ${errorMessage}</p>
+                        <p><small>Check browser console for details</small></p>
+                    </div>
+                `;
+            }
+        });
+    }
+    
+    async loadRegionalData(region) {
+        const cacheKey = `region_${region}`;
+        
+        if (this.dataCache.has(cacheKey)) {
+            this.log(`Using cached regional data for ${region}`);
+            return this.dataCache.get(cacheKey);
+        }
+        
+        try {
+            const url = `${this.basePath}data/regions/${region}.json`;
+            this.log(`Fetching regional data from: ${url}`);
+            
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch regional data: ${response.status} ${response.statusText}`);
+            }
+            
+            const data = await response.json();
+            this.dataCache.set(cacheKey, data);
+            this.log(`Regional data cached for ${region}`);
+            return data;
+            
+        } catch (error) {
+            this.error(`Failed to load regional data for ${region}:`, error);
+            throw error;
+        }
+    }
+    
+    async loadCuisineData(cuisine) {
+        const cacheKey = `cuisine_${cuisine}`;
+        
+        this.log(`Loading cuisine data for: ${cuisine} (cache key: ${cacheKey})`);
+        
+        if (this.dataCache.has(cacheKey)) {
+            this.log(`Using cached cuisine data for ${cuisine}`);
+            return this.dataCache.get(cacheKey);
+        }
+        
+        try {
+            const fileName = `${cuisine}_analysis.json`;
+            const url = `${this.basePath}data/cuisines/${fileName}`;
+            this.log(`Fetching cuisine data from: ${url}`);
+
+            const timestamp = new Date().getTime();
+            const response = await fetch(`${url}?t=${timestamp}`);
+            
+            if (!response.ok) {
+                throw new Error(`Failed to fetch cuisine data: ${response.status} ${response.statusText} for ${url}`);
+            }
+            
+            const data = await response.json();
+            this.log(`Cuisine data loaded for ${cuisine}:`, {
+                total_restaurants: data.market_overview?.total_restaurants,
+                has_popular_dishes: !!(data.popular_dishes?.popularity),
+                popular_dishes_count: data.popular_dishes?.popularity?.length
+            });
+            
+            this.dataCache.set(cacheKey, data);
+            return data;
+            
+        } catch (error) {
+            this.error(`Failed to load cuisine data for ${cuisine}:`, error);
+            throw error;
+        }
+    }
+    
+    async loadGeoTable() {
+        const cacheKey = 'geo_zip_centroids';
+        
+        if (this.dataCache.has(cacheKey)) {
+            return this.dataCache.get(cacheKey);
+        }
+        
+        try {
+            const url = `${this.basePath}data/geo/zip_centroids.json`;
+            this.log(`Fetching geocode table from: ${url}`);
+            
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch geocode table: ${response.status} ${response.statusText}`);
+            }
+            
+            const data = await response.json();
+            this.dataCache.set(cacheKey, data);
+            return data;
+            
+        } catch (error) {
+            this.error('Failed to load geocode table:', error);
+            throw error;
+        }
+    }
+    
+    async loadBusinessCoordinates() {
+        const cacheKey = 'geo_business_coordinates';
+        
+        if (this.dataCache.has(cacheKey)) {
+            return this.dataCache.get(cacheKey);
+        }
+        
+        if (!this.dataManifest?.metadata?.business_coordinates) {
+            this.log('Data build has no business geocode table, competitor locations are unavailable');
+            this.dataCache.set(cacheKey, {});
+            return {};
+        }
+        
+        const url = `${this.basePath}data/geo/business_coordinates.json`;
+        const response = await fetch(url);
+        let businesses = {};
+        
+        if (response.ok) {
+            businesses = (await response.json()).businesses || {};
+        } else {
+            this.log(`No business geocode table at ${url} (${response.status}), competitor locations are unavailable`);
+        }
+        
+        this.dataCache.set(cacheKey, businesses);
+        return businesses;
+    }
+    
+    async loadCompetitiveData(region, cuisine) {
+        const cacheKey = `competitive_${region}_${cuisine}`;
+        
+        if (this.dataCache.has(cacheKey)) {
+            this.log(`Using cached competitive data for ${region}_${cuisine}`);
+            return this.dataCache.get(cacheKey);
+        }
+        
+        try {
+            const fileName = `${region}_${cuisine}.json`;
+            const url = `${this.basePath}data/competitive/${fileName}`;
+            this.log(`Fetching competitive data from: ${url}`);
+
+            const timestamp = new Date().getTime();
+            const response = await fetch(`${url}?t=${timestamp}`);
+            
+            if (!response.ok) {
+                const error = new Error(`Failed to fetch competitive data: ${response.status} ${response.statusText} for ${url}`);
+                error.status = response.status;
+                throw error;
+            }
+            
+            const data = await response.json();
+            this.log(`Competitive data loaded for ${region}_${cuisine}:`, {
+                metadata: data.metadata,
+                competitor_count: data.key_competitors?.length || 0,
+                menu_optimization_status: data.menu_optimization?.status || 'available',
+                popular_dishes_count: data.menu_optimization?.regional_popular_dishes?.length || 0
+            });
+            
+            this.dataCache.set(cacheKey, data);
+            return data;
+            
+        } catch (error) {
+            this.error(`Failed to load competitive data for ${region}_${cuisine}:`, error);
+            throw error;
+        }
+    }
+    
+    async updateEcosystemPanel(regionalData) {
+        const ecosystemContent = document.getElementById('ecosystemContent');
+        const ecosystemEmpty = document.getElementById('ecosystemEmpty');
+        
+        try {
+            if (regionalData.market_overview || regionalData.competitive_environment) {
+                ecosystemEmpty.style.display = 'none';
+                ecosystemContent.style.display = 'block';
+                
+                const {
+                    diversityScore,
+                    saturationLevel,
+                    opportunityScore,
+                    customerLevel,
+                    breakdowns
+                } = this.computeEcosystemMetrics(regionalData);
+                
+                this.scoreBreakdowns.set('diversity', { title: 'Diversity Score', result: breakdowns.diversity });
+                this.scoreBreakdowns.set('opportunity', { title: 'Opportunity Score', result: breakdowns.opportunity });
+
+                document.getElementById('diversityScore').textContent = diversityScore;
+                document.getElementById('saturationLevel').textContent = saturationLevel;
+                document.getElementById('opportunityScore').textContent = opportunityScore;
+                document.getElementById('customerSophistication').textContent = customerLevel;
+
+                await this.createEcosystemChart(regionalData);
+                await this.renderSimilarMarkets(regionalData);
+                
+                this.log('Ecosystem panel updated successfully with real data', {
+                    diversityScore,
+                    saturationLevel,
+                    opportunityScore,
+                    customerLevel
+                });
+            } else {
+                ecosystemContent.style.display = 'none';
+                ecosystemEmpty.style.display = 'block';
+                this.log('No ecosystem data available - showing empty state');
+            }
+        } catch (error) {
+            this.error('Error updating ecosystem panel:', error);
+        }
+    }
+    
+    computeEcosystemMetrics(regionalData) {
+        const overview = regionalData.market_overview || {};
+        const competitive = regionalData.competitive_environment || {};
+        const landscape = regionalData.cuisine_landscape || {};
+        const opportunities = regionalData.market_opportunities || [];
+        
+        const diversity = this.scoring.score('diversity', overview, landscape);
+        const opportunity = this.scoring.score('opportunity', opportunities, overview);
+        
+        return {
+            diversityScore: diversity.score,
+            saturationLevel: this.mapSaturationLevel(competitive.competition_intensity),
+            opportunityScore: opportunity.score,
+            customerLevel: this.mapCustomerLevel(competitive.overall_quality),
+            breakdowns: { diversity, opportunity }
+        };
+    }
+    
+    calculateDiversityScore(overview, landscape) {
+        return this.scoring.score('diversity', overview, landscape).score;
+    }
+    
+    mapSaturationLevel(competitionIntensity) {
+        const mapping = {
+            'low': 'Low',
+            'medium': 'Medium',
+            'high': 'High',
+            'very_high': 'Very High'
+        };
+        return mapping[competitionIntensity] || 'Medium';
+    }
+    
+    calculateOpportunityScore(opportunities, overview) {
+        return this.scoring.score('opportunity', opportunities || [], overview).score;
+    }
+    
+    mapCustomerLevel(overallQuality) {
+        const mapping = {
+            'low': 'Basic',
+            'medium': 'Moderate',
+            'high': 'Sophisticated',
+            'very_high': 'Expert'
+        };
+        return mapping[overallQuality] || 'Moderate';
+    }
+    
+    getEcosystemAxes() {
+        const intensity = { low: 1, medium: 2, high: 3, very_high: 4 };
+        
+        return [
+            {
+                label: 'Customer Level',
+                value: data => intensity[data.competitive_environment?.overall_quality],
+                describe: data => this.mapCustomerLevel(data.competitive_environment?.overall_quality)
+            },
+            {
+                label: 'Saturation',
+                value: data => intensity[data.competitive_environment?.competition_intensity],
+                describe: data => this.mapSaturationLevel(data.competitive_environment?.competition_intensity)
+            },
+            {
+                label: 'Quality Consistency',
+                value: data => ({ inconsistent: 1, variable: 2, consistent: 3 })[data.competitive_environment?.quality_consistency],
+                describe: data => data.competitive_environment?.quality_consistency || 'unknown'
+            },
+            {
+                label: 'Market Maturity',
+                value: data => ({ emerging: 1, developing: 2, mature: 3, saturated: 4 })[data.competitive_environment?.market_maturity],
+                describe: data => data.competitive_environment?.market_maturity || 'unknown'
+            },
+            {
+                label: 'Average Rating',
+                value: data => data.market_overview?.average_rating,
+                describe: data => data.market_overview?.average_rating?.toFixed(2) ?? 'N/A'
+            }
+        ];
+    }
+    
+    async loadAllRegionalData() {
+        const results = await Promise.all(this.getComparableRegions().map(async region => {
+            try {
+                return await this.loadRegionalData(region);
+            } catch (error) {
+                this.error(`Skipping region ${region} in cross-region metrics:`, error);
+                return null;
+            }
+        }));
+        
+        return results.filter(Boolean);
+    }
+    
+    normalizeEcosystemAxes(regionalData, allRegionalData) {
+        return this.getEcosystemAxes().map(axis => {
+            const values = allRegionalData.map(axis.value).filter(Number.isFinite);
+            const value = axis.value(regionalData);
+            const min = Math.min(...values);
+            const max = Math.max(...values);
+            const mean = values.reduce((sum, item) => sum + item, 0) / values.length;
+            const scale = item => (max > min ? ((item - min) / (max - min)) * 100 : 50);
+            
+            return {
+                label: axis.label,
+                description: axis.describe(regionalData),
+                score: Number.isFinite(value) ? Math.round(scale(value)) : null,
+                average: values.length > 0 ? Math.round(scale(mean)) : null
+            };
+        });
+    }
+    
+    buildRegionFeatures(regionalData) {
+        const overview = regionalData.market_overview || {};
+        const landscape = regionalData.cuisine_landscape || {};
+        const total = overview.total_restaurants || 1;
+        const cuisineMix = {};
+        
+        (landscape.dominant_cuisines || []).forEach(item => {
+            cuisineMix[item.cuisine] = (item.restaurant_count || 0) / total;
+        });
+        
+        const scalars = {
+            'market size': overview.total_restaurants || 0,
+            'cuisine diversity': overview.cuisine_diversity || 0,
+            'review volume': Math.log10((overview.total_reviews || 0) + 1),
+            'emerging cuisines': (landscape.emerging_cuisines || []).length,
+            'underserved cuisines': (landscape.underrepresented_cuisines || []).length
+        };
+        
+        this.getEcosystemAxes().forEach(axis => {
+            scalars[axis.label.toLowerCase()] = axis.value(regionalData) ?? 0;
+        });
+        
+        return { scalars, cuisineMix };
+    }
+    
+    findSimilarMarkets(regionalData, allRegionalData, limit = 5) {
+        const region = regionalData.metadata?.region;
+        const features = allRegionalData.map(data => ({
+            region: data.metadata?.region,
+            dominant: (data.cuisine_landscape?.dominant_cuisines || []).map(item => item.cuisine),
+            ...this.buildRegionFeatures(data)
+        }));
+        const target = features.find(item => item.region === region) || {
+            region,
+            dominant: (regionalData.cuisine_landscape?.dominant_cuisines || []).map(item => item.cuisine),
+            ...this.buildRegionFeatures(regionalData)
+        };
+        const names = Object.keys(target.scalars);
+        const stats = names.map(name => {
+            const values = features.map(item => item.scalars[name]);
+            const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+            const std = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+            return { name, std: std || 1, constant: std === 0 };
+        });
+        const cosine = (a, b) => {
+            const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+            let dot = 0;
+            let normA = 0;
+            let normB = 0;
+            keys.forEach(key => {
+                dot += (a[key] || 0) * (b[key] || 0);
+                normA += (a[key] || 0) ** 2;
+                normB += (b[key] || 0) ** 2;
+            });
+            return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+        };
+        
+        return features
+            .filter(item => item.region !== region)
+            .map(item => {
+                const diffs = stats.map(stat => ({
+                    name: stat.name,
+                    constant: stat.constant,
+                    z: Math.abs(item.scalars[stat.name] - target.scalars[stat.name]) / stat.std
+                }));
+                const profileDistance = Math.sqrt(diffs.reduce((sum, diff) => sum + diff.z ** 2, 0) / diffs.length);
+                const mixDistance = 1 - cosine(item.cuisineMix, target.cuisineMix);
+                const distance = profileDistance * 0.7 + mixDistance * 0.3;
+                
+                return {
+                    region: item.region,
+                    similarity: Math.round(100 / (1 + distance)),
+                    sharedTraits: diffs.filter(diff => !diff.constant && diff.z < 0.25).map(diff => diff.name),
+                    sharedCuisines: item.dominant.filter(cuisine => target.dominant.includes(cuisine))
+                };
+            })
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, limit);
+    }
+    
+    async renderSimilarMarkets(regionalData) {
+        const container = document.getElementById('similarMarkets');
+        
+        try {
+            const allRegionalData = await this.loadAllRegionalData();
+            
+            if (this.currentRegionalData && this.currentRegionalData !== regionalData) {
+                return;
+            }
+            
+            const matches = this.findSimilarMarkets(regionalData, allRegionalData);
+            
+            container.innerHTML = matches.length === 0 ? '<p>No other analyzed regions to compare against</p>' : `
+                <ul class="similar-list">
+                    ${matches.map(match => `
+                        <li>
+                            <button class="link-button" data-similar-region="${match.region}">${match.region}</button>
+                            ${this.formatRegionLocation(match.region) || ''}
+                            <span class="similar-score">${match.similarity}% similar</span>
+                            <div class="similar-reasons">
+                                ${match.sharedTraits.length > 0 ? `Similar ${match.sharedTraits.slice(0, 3).join(', ')}` : 'Closest overall profile'}
+                                ${match.sharedCuisines.length > 0 ? ` &middot; Shares ${match.sharedCuisines.slice(0, 3).join(', ')}` : ''}
+                            </div>
+                        </li>
+                    `).join('')}
+                </ul>
+            `;
+            
+            container.querySelectorAll('[data-similar-region]').forEach(button => {
+                button.addEventListener('click', async () => {
+                    await this.restoreSelectionState({ region: button.dataset.similarRegion });
+                    this.updateUrlState();
+                });
+            });
+            
+            this.log('Similar markets found', matches);
+        } catch (error) {
+            this.error('Error finding similar markets:', error);
+            container.innerHTML = '<p>Similar markets are unavailable</p>';
+        }
+    }
+    
+    async createEcosystemChart(regionalData) {
+        const ctx = document.getElementById('ecosystemChart').getContext('2d');
+        
+        try {
+            const allRegionalData = await this.loadAllRegionalData();
+            
+            if (this.currentRegionalData && this.currentRegionalData !== regionalData) {
+                this.log('Region changed while loading cross-region metrics, skipping ecosystem chart');
+                return;
+            }
+            
+            const axes = this.normalizeEcosystemAxes(regionalData, allRegionalData);
+            
+            if (this.charts.ecosystem) {
+                this.charts.ecosystem.destroy();
+            }
+            
+            this.charts.ecosystem = new Chart(ctx, {
+                type: 'radar',
+                data: {
+                    labels: axes.map(axis => axis.label),
+                    datasets: [{
+                        label: `Region ${regionalData.metadata?.region || this.currentRegion}`,
+                        data: axes.map(axis => axis.score),
+                        backgroundColor: 'rgba(102, 126, 234, 0.2)',
+                        borderColor: 'rgba(102, 126, 234, 1)',
+                        pointBackgroundColor: 'rgba(102, 126, 234, 1)',
+                        pointBorderColor: '#fff',
+                        pointHoverBackgroundColor: '#fff',
+                        pointHoverBorderColor: 'rgba(102, 126, 234, 1)'
+                    }, {
+                        label: `Average of ${allRegionalData.length} analyzed regions`,
+                        data: axes.map(axis => axis.average),
+                        backgroundColor: 'rgba(160, 160, 160, 0.1)',
+                        borderColor: 'rgba(160, 160, 160, 0.8)',
+                        borderDash: [4, 4],
+                        pointRadius: 0
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    scales: {
+                        r: {
+                            angleLines: { display: true },
+                            suggestedMin: 0,
+                            suggestedMax: 100
+                        }
+                    },
+                    plugins: {
+                        legend: { position: 'bottom' },
+                        tooltip: {
+                            callbacks: {
+                                label: context => {
+                                    const axis = axes[context.dataIndex];
+                                    return context.datasetIndex === 0
+                                        ? `${axis.label}: ${axis.description} (${axis.score ?? 'N/A'} of 100)`
+                                        : `${axis.label}: ${axis.average ?? 'N/A'} of 100`;
+                                }
+                            }
+                        }
+                    }
+                }
+            });
+            
+            this.log('Ecosystem chart created successfully', axes);
+        } catch (error) {
+            this.error('Error creating ecosystem chart:', error);
+        }
+    }
+    
+    getComparisonRegions() {
+        const selected = (this.panelState.compare || '')
+            .split(',')
+            .filter(region => this.getComparableRegions().includes(region));
+        
+        if (!this.comparisonSeeded && this.panelState.compare === undefined && this.currentRegion) {
+            selected.push(this.currentRegion);
+        }
+        
+        return selected.slice(0, 4);
+    }
+    
+    getComparableRegions() {
+        if (this.dataManifest) {
+            return Object.keys(this.dataManifest.regions).filter(region => this.hasRegionAnalysis(region));
+        }
+        return this.dataIndex.coverage?.regions?.top_regions || [];
+    }
+    
+    async renderRegionComparison() {
+        const picker = document.getElementById('comparisonRegionPicker');
+        const columns = document.getElementById('comparisonColumns');
+        const selected = this.getComparisonRegions();
+        
+        this.comparisonSeeded = true;
+        picker.innerHTML = '';
+        
+        this.getComparableRegions().forEach(region => {
+            const label = document.createElement('label');
+            label.className = 'comparison-option';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = region;
+            checkbox.checked = selected.includes(region);
+            checkbox.disabled = !checkbox.checked && selected.length >= 4;
+            checkbox.addEventListener('change', () => {
+                const next = checkbox.checked
+                    ? [...selected, region]
+                    : selected.filter(item => item !== region);
+                this.setPanelState('compare', next.join(','));
+                this.renderRegionComparison();
+            });
+            
+            const location = this.formatRegionLocation(region);
+            
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${region}${location ? ` (${location})` : ''}`));
+            picker.appendChild(label);
+        });
+        
+        if (selected.length < 2) {
+            columns.innerHTML = `
+                <div class="empty-state">
+                    <p>Pick two to four regions to compare them side by side</p>
+                </div>
+            `;
+            if (this.charts.comparison) {
+                this.charts.comparison.destroy();
+                delete this.charts.comparison;
+            }
+            return;
+        }
+        
+        this.updateStatus('loading', `Comparing regions ${selected.join(', ')}...`);
+        
+        const results = await Promise.all(selected.map(async region => {
+            try {
+                return { region, data: await this.loadRegionalData(region) };
+            } catch (error) {
+                return { region, error };
+            }
+        }));
+        
+        const loaded = results.filter(result => result.data);
+        
+        columns.innerHTML = results.map((result, index) => {
+            const color = this.comparisonColors[index % this.comparisonColors.length];
+            
+            if (result.error) {
+                return `
+                    <div class="comparison-column" style="border-top-color: rgb(${color});">
+                        <div class="comparison-title">${result.region}</div>
+                        <p><small>Regional data unavailable: ${result.error.message}</small></p>
+                    </div>
+                `;
+            }
+            
+            return this.renderComparisonColumn(result.region, result.data, color);
+        }).join('');
+        
+        this.createComparisonChart(loaded);
+        
+        this.updateStatus('ready', `Comparing ${loaded.length} regions`);
+        this.log('Region comparison rendered', selected);
+    }
+    
+    renderComparisonColumn(region, regionalData, color) {
+        const overview = regionalData.market_overview || {};
+        const competitive = regionalData.competitive_environment || {};
+        const landscape = regionalData.cuisine_landscape || {};
+        const opportunities = regionalData.market_opportunities || [];
+        
+        const dominant = (landscape.dominant_cuisines || []).slice(0, 3)
+            .map(item => `<li>${item.cuisine} (${item.restaurant_count}, ${item.average_rating} stars)</li>`)
+            .join('');
+        const underrepresented = (landscape.underrepresented_cuisines || [])
+            .map(item => item.cuisine)
+            .join(', ');
+        
+        return `
+            <div class="comparison-column" style="border-top-color: rgb(${color});">
+                <div class="comparison-title">${region}</div>
+                <div class="comparison-section">
+                    <div class="comparison-section-title">Market Overview</div>
+                    <div>Restaurants: ${overview.total_restaurants ?? 'N/A'}</div>
+                    <div>Cuisines: ${overview.cuisine_diversity ?? 'N/A'}</div>
+                    <div>Average rating: ${overview.average_rating ?? 'N/A'}</div>
+                    <div>Reviews: ${overview.total_reviews ?? 'N/A'}</div>
+                </div>
+                <div class="comparison-section">
+                    <div class="comparison-section-title">Competitive Environment</div>
+                    <div>Intensity: ${this.mapSaturationLevel(competitive.competition_intensity)}</div>
+                    <div>Quality: ${competitive.overall_quality || 'unknown'}</div>
+                    <div>Consistency: ${competitive.quality_consistency || 'unknown'}</div>
+                    <div>Maturity: ${competitive.market_maturity || 'unknown'}</div>
+                </div>
+                <div class="comparison-section">
+                    <div class="comparison-section-title">Cuisine Landscape</div>
+                    <ul>${dominant || '<li>No dominant cuisines</li>'}</ul>
+                    <div>Emerging: ${landscape.emerging_cuisines?.length || 0}</div>
+                    <div>Underrepresented: ${underrepresented || 'None'}</div>
+                    <div>Opportunities: ${opportunities.length}</div>
+                </div>
+                <div class="comparison-scores">
+                    <span>Diversity ${this.calculateDiversityScore(overview, landscape)}</span>
+                    <span>Opportunity ${this.calculateOpportunityScore(opportunities, overview)}</span>
+                </div>
+            </div>
+        `;
+    }
+    
+    createComparisonChart(regions) {
+        const ctx = document.getElementById('comparisonChart').getContext('2d');
+        
+        if (this.charts.comparison) {
+            this.charts.comparison.destroy();
+        }
+        
+        try {
+            this.charts.comparison = new Chart(ctx, {
+                type: 'radar',
+                data: {
+                    labels: ['Diversity', 'Opportunity', 'Average Rating'],
+                    datasets: regions.map((result, index) => {
+                        const color = this.comparisonColors[index % this.comparisonColors.length];
+                        const overview = result.data.market_overview || {};
+                        const landscape = result.data.cuisine_landscape || {};
+                        const opportunities = result.data.market_opportunities || [];
+                        
+                        return {
+                            label: result.region,
+                            data: [
+                                this.calculateDiversityScore(overview, landscape),
+                                this.calculateOpportunityScore(opportunities, overview),
+                                ((overview.average_rating || 0) / 5) * 100
+                            ],
+                            backgroundColor: `rgba(${color}, 0.15)`,
+                            borderColor: `rgba(${color}, 1)`,
+                            pointBackgroundColor: `rgba(${color}, 1)`,
+                            pointBorderColor: '#fff'
+                        };
+                    })
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    scales: {
+                        r: {
+                            angleLines: { display: true },
+                            suggestedMin: 0,
+                            suggestedMax: 100
+                        }
+                    },
+                    plugins: { legend: { position: 'bottom' } }
+                }
+            });
+            
+            this.log('Comparison chart created successfully');
+        } catch (error) {
+            this.error('Error creating comparison chart:', error);
+        }
+    }
+    
+    async renderCuisineComparison() {
+        const container = document.getElementById('cuisineComparisonMatrix');
+        const title = document.getElementById('cuisineComparisonTitle');
+        const region = this.currentRegion;
+        
+        if (!region) {
+            title.textContent = 'Cuisine Comparison';
+            container.innerHTML = `
+                <div class="empty-state">
+                    <p>Select a region to compare every cuisine in it</p>
+                </div>
+            `;
+            return;
+        }
+        
+        title.textContent = `Cuisine Comparison: ${region}`;
+        this.updateStatus('loading', `Comparing cuisines in region ${region}...`);
+        
+        const cuisines = this.dataIndex.coverage?.cuisines?.main_cuisines || [];
+        const rows = await Promise.all(cuisines.map(async cuisine => {
+            try {
+                return { cuisine, data: await this.loadCompetitiveData(region, cuisine) };
+            } catch (error) {
+                return { cuisine, error };
+            }
+        }));
+        
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Cuisine</th>
+                        <th>Saturation</th>
+                        <th>Avg Rating</th>
+                        <th>Competitors</th>
+                        <th>Risk Level</th>
+                        <th>Top Recommendation</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => this.renderCuisineComparisonRow(row)).join('')}
+                </tbody>
+            </table>
+        `;
+        
+        container.querySelectorAll('tr[data-cuisine]').forEach(rowElement => {
+            rowElement.addEventListener('click', () => {
+                const cuisine = rowElement.dataset.cuisine;
+                document.getElementById('cuisineSelect').value = cuisine;
+                this.onCuisineSelected(cuisine);
+            });
+        });
+        
+        this.updateStatus('ready', `Compared ${rows.length} cuisines in region ${region}`);
+        this.log('Cuisine comparison rendered', rows.length);
+    }
+    
+    renderCuisineComparisonRow(row) {
+        const label = this.formatCuisineLabel(row.cuisine);
+        
+        if (row.error) {
+            return `
+                <tr class="row-unavailable">
+                    <td>${label}</td>
+                    <td colspan="5">No analysis file for this region</td>
+                </tr>
+            `;
+        }
+        
+        const data = row.data;
+        const saturation = data.market_saturation || {};
+        
+        if (saturation.status === 'insufficient_data') {
+            return `
+                <tr class="row-unavailable" data-cuisine="${row.cuisine}">
+                    <td>${label}</td>
+                    <td colspan="5">Insufficient data: ${saturation.message || 'not enough restaurants for analysis'}</td>
+                </tr>
+            `;
+        }
+        
+        const recommendation = this.getTopRecommendation(data);
+        const rating = saturation.average_rating;
+        
+        return `
+            <tr class="row-clickable" data-cuisine="${row.cuisine}">
+                <td><strong>${label}</strong></td>
+                <td>${this.mapSaturationLevel(saturation.saturation_level)}</td>
+                <td>${typeof rating === 'number' ? rating.toFixed(2) : 'N/A'}</td>
+                <td>${data.key_competitors?.length || 0}</td>
+                <td>${data.risk_assessment?.overall_risk_level || 'unknown'}</td>
+                <td>${recommendation ? recommendation.recommendation : 'None'}</td>
+            </tr>
+        `;
+    }
+    
+    async renderRegionLeaderboard() {
+        const container = document.getElementById('leaderboardTable');
+        
+        this.updateStatus('loading', 'Ranking analyzed regions...');
+        
+        const rows = (await Promise.all(this.getComparableRegions().map(async region => {
+            try {
+                return this.buildLeaderboardRow(region, await this.loadRegionalData(region));
+            } catch (error) {
+                this.error(`Leaderboard skipped region ${region}:`, error);
+                return null;
+            }
+        }))).filter(Boolean);
+        
+        const [sortKey, sortDir] = (this.panelState.lsort || 'opportunityScore:desc').split(':');
+        const direction = sortDir === 'asc' ? 1 : -1;
+        
+        rows.sort((a, b) => {
+            const left = a[sortKey];
+            const right = b[sortKey];
+            const order = typeof left === 'string' ? left.localeCompare(right) : (left ?? -Infinity) - (right ?? -Infinity);
+            return order * direction || a.region.localeCompare(b.region);
+        });
+        
+        const columns = [
+            { key: 'region', label: 'Region' },
+            { key: 'opportunityScore', label: 'Opportunity' },
+            { key: 'diversityScore', label: 'Diversity' },
+            { key: 'averageRating', label: 'Avg Rating' },
+            { key: 'competition', label: 'Competition' },
+            { key: 'marketGaps', label: 'Market Gaps' },
+            { key: 'restaurants', label: 'Restaurants' }
+        ];
+        
+        const headerCells = columns.map(column => {
+            const active = column.key === sortKey;
+            const indicator = active ? (sortDir === 'asc' ? ' &#9650;' : ' &#9660;') : '';
+            return `<th class="sortable${active ? ' sorted' : ''}" data-leaderboard-sort="${column.key}">${column.label}${indicator}</th>`;
+        }).join('');
+        
+        container.innerHTML = `
+            <table class="data-table">
+                <thead><tr><th>#</th>${headerCells}</tr></thead>
+                <tbody>
+                    ${rows.map((row, index) => `
+                        <tr class="row-clickable${row.region === this.currentRegion ? ' row-current' : ''}" data-leaderboard-region="${row.region}">
+                            <td>${index + 1}</td>
+                            <td><strong>${row.region}</strong> ${this.formatRegionLocation(row.region) || ''}</td>
+                            <td>${row.opportunityScore}</td>
+                            <td>${row.diversityScore}</td>
+                            <td>${typeof row.averageRating === 'number' ? row.averageRating.toFixed(2) : 'N/A'}</td>
+                            <td>${row.saturationLevel}</td>
+                            <td>${row.marketGaps}</td>
+                            <td>${row.restaurants ?? 'N/A'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        
+        container.querySelectorAll('th[data-leaderboard-sort]').forEach(header => {
+            header.addEventListener('click', () => {
+                const key = header.dataset.leaderboardSort;
+                const dir = key === sortKey
+                    ? (sortDir === 'asc' ? 'desc' : 'asc')
+                    : (key === 'region' ? 'asc' : 'desc');
+                
+                this.setPanelState('lsort', `${key}:${dir}`);
+                this.renderRegionLeaderboard();
+            });
+        });
+        
+        container.querySelectorAll('tr[data-leaderboard-region]').forEach(rowElement => {
+            rowElement.addEventListener('click', async () => {
+                this.hideView({ updateHistory: false });
+                delete this.panelState.view;
+                await this.restoreSelectionState({ region: rowElement.dataset.leaderboardRegion });
+                this.updateUrlState();
+            });
+        });
+        
+        this.updateStatus('ready', `Ranked ${rows.length} analyzed regions`);
+        this.log('Region leaderboard rendered', { sortKey, sortDir, regions: rows.length });
+    }
+    
+    async renderCuisineExplorer() {
+        const select = document.getElementById('explorerCuisineSelect');
+        const content = document.getElementById('explorerContent');
+        const cuisines = this.dataIndex?.coverage?.cuisines?.main_cuisines || [];
+        const cuisine = cuisines.includes(this.panelState.xcuisine)
+            ? this.panelState.xcuisine
+            : (cuisines.includes(this.currentCuisine) ? this.currentCuisine : cuisines[0]);
+        
+        select.innerHTML = cuisines.map(item => `
+            <option value="${item}"${item === cuisine ? ' selected' : ''}>${this.formatCuisineLabel(item)}</option>
+        `).join('');
+        
+        if (!cuisine) {
+            content.innerHTML = '<div class="empty-state"><p>No cuisines available</p></div>';
+            return;
+        }
+        
+        this.updateStatus('loading', `Loading national ${cuisine} analysis...`);
+        
+        const cuisineData = await this.loadCuisineData(cuisine);
+        const national = cuisineData.national_overview || {};
+        const patterns = cuisineData.success_patterns || {};
+        const variations = Object.values(cuisineData.regional_variations || {});
+        const label = this.formatCuisineLabel(cuisine);
+        
+        const renderMarket = (region, detail) => {
+            const location = this.formatRegionLocation(region);
+            const name = `${region}${location ? ` (${location})` : ''}`;
+            
+            return this.isRegionAnalyzed(region)
+                ? `<li><button class="link-button" data-explorer-region="${region}">${name}</button> ${detail}</li>`
+                : `<li>${name} ${detail} <small>(not analyzed)</small></li>`;
+        };
+        
+        const renderList = (title, items, render) => `
+            <div class="comparison-column">
+                <div class="comparison-section-title">${title} (${items.length})</div>
+                ${items.length > 0
+                    ? `<ul class="explorer-list">${items.map(render).join('')}</ul>`
+                    : '<p>None identified</p>'}
+            </div>
+        `;
+        
+        const highPerforming = [...(patterns.high_performing_regions || [])]
+            .sort((a, b) => (b.avg_rating || 0) - (a.avg_rating || 0));
+        const opportunities = [...(cuisineData.market_opportunities || [])]
+            .sort((a, b) => (a.potential === 'high' ? 0 : 1) - (b.potential === 'high' ? 0 : 1) ||
+                (b.market_quality || 0) - (a.market_quality || 0));
+        
+        content.innerHTML = `
+            <div class="comparison-scores explorer-stats">
+                <span>${national.total_restaurants ?? 'N/A'} restaurants</span>
+                <span>${national.regional_presence ?? Object.keys(cuisineData.regional_variations || {}).length} regions</span>
+                <span>${typeof national.average_rating === 'number' ? national.average_rating.toFixed(2) : 'N/A'} avg rating</span>
+                <span>${national.total_reviews ?? 'N/A'} reviews</span>
+            </div>
+            <div class="explorer-charts">
+                <div class="chart-container">
+                    <canvas id="explorerRatingChart"></canvas>
+                </div>
+                <div class="chart-container">
+                    <canvas id="explorerCountChart"></canvas>
+                </div>
+            </div>
+            <div class="comparison-columns">
+                ${renderList('High-Performing Markets', highPerforming, item =>
+                    renderMarket(item.region, `&middot; ${(item.avg_rating || 0).toFixed(2)} stars, ${item.market_size ?? 'N/A'} reviews`))}
+                ${renderList('Emerging Markets', patterns.emerging_markets || [], item =>
+                    renderMarket(item.region, `&middot; ${item.potential || 'unknown'} potential, ${item.competition || 'unknown'} competition`))}
+                ${renderList('Opportunity Regions', opportunities, item =>
+                    renderMarket(item.region, `&middot; ${item.potential || 'unknown'} potential, ${item.current_competitors ?? 'N/A'} competitors`))}
+            </div>
+        `;
+        
+        content.querySelectorAll('[data-explorer-region]').forEach(button => {
+            button.addEventListener('click', async () => {
+                this.hideView({ updateHistory: false });
+                delete this.panelState.view;
+                await this.restoreSelectionState({ region: button.dataset.explorerRegion, cuisine });
+                this.updateUrlState();
+            });
+        });
+        
+        this.createExplorerCharts(label, variations);
+        
+        this.updateStatus('ready', `National ${label} analysis: ${variations.length} regions`);
+        this.log('Cuisine explorer rendered', { cuisine, regions: variations.length });
+    }
+    
+    createExplorerCharts(label, variations) {
+        const ratingBands = ['1-1.5', '1.5-2', '2-2.5', '2.5-3', '3-3.5', '3.5-4', '4-4.5', '4.5-5'];
+        const countBands = [
+            { label: '1', min: 1, max: 1 },
+            { label: '2', min: 2, max: 2 },
+            { label: '3-4', min: 3, max: 4 },
+            { label: '5-9', min: 5, max: 9 },
+            { label: '10+', min: 10, max: Infinity }
+        ];
+        const ratingCounts = ratingBands.map(() => 0);
+        
+        variations.forEach(variation => {
+            const rating = variation.average_rating;
+            if (rating >= 1) {
+                ratingCounts[Math.min(ratingBands.length - 1, Math.floor((rating - 1) * 2))] += 1;
+            }
+        });
+        
+        const countCounts = countBands.map(band => variations
+            .filter(variation => variation.restaurant_count >= band.min && variation.restaurant_count <= band.max).length);
+        
+        const histogram = (key, canvasId, labels, data, title, color) => {
+            if (this.charts[key]) {
+                this.charts[key].destroy();
+            }
+            
+            this.charts[key] = new Chart(document.getElementById(canvasId).getContext('2d'), {
+                type: 'bar',
+                data: {
+                    labels,
+                    datasets: [{ label: 'Regions', data, backgroundColor: color }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    scales: { y: { beginAtZero: true, ticks: { precision: 0 } } },
+                    plugins: {
+                        legend: { display: false },
+                        title: { display: true, text: title }
+                    }
+                }
+            });
+        };
+        
+        histogram('explorerRatings', 'explorerRatingChart', ratingBands, ratingCounts,
+            `Regions by average ${label} rating`, 'rgba(102, 126, 234, 0.8)');
+        histogram('explorerCounts', 'explorerCountChart', countBands.map(band => band.label), countCounts,
+            `Regions by number of ${label} restaurants`, 'rgba(75, 192, 192, 0.8)');
+    }
+    
+    async loadAllCompetitiveData(cuisines) {
+        const pairs = [];
+        
+        if (this.dataManifest) {
+            Object.entries(this.dataManifest.regions).forEach(([region, info]) => {
+                cuisines.filter(cuisine => info.cuisines?.[cuisine]).forEach(cuisine => pairs.push({ region, cuisine }));
+            });
+        } else {
+            (this.dataIndex.coverage?.regions?.top_regions || []).forEach(region => {
+                cuisines.forEach(cuisine => pairs.push({ region, cuisine }));
+            });
+        }
+        
+        const results = await Promise.all(pairs.map(async pair => {
+            try {
+                return { ...pair, data: await this.loadCompetitiveData(pair.region, pair.cuisine) };
+            } catch (error) {
+                this.log(`Skipping ${pair.cuisine} in ${pair.region}: ${error.message}`);
+                return null;
+            }
+        }));
+        
+        return results.filter(Boolean);
+    }
+    
+    async renderSiteWizard() {
+        const container = document.getElementById('wizardContent');
+        const wizard = this.siteWizard;
+        const cuisines = this.dataIndex?.coverage?.cuisines?.main_cuisines || [];
+        
+        const steps = [
+            {
+                title: 'Which cuisines are you considering?',
+                body: cuisines.map(cuisine => `
+                    <label class="comparison-option">
+                        <input type="checkbox" data-wizard-field="cuisines" value="${cuisine}"${wizard.cuisines.includes(cuisine) ? ' checked' : ''}>
+                        ${this.formatCuisineLabel(cuisine)}
+                    </label>
+                `).join(''),
+                valid: () => wizard.cuisines.length > 0
+            },
+            {
+                title: 'How much competition is acceptable?',
+                body: ['very_low', 'low', 'medium', 'high'].map(level => `
+                    <label class="comparison-option">
+                        <input type="checkbox" data-wizard-field="competition" value="${level}"${wizard.competition.includes(level) ? ' checked' : ''}>
+                        ${this.formatInsightValue(level)}
+                    </label>
+                `).join(''),
+                valid: () => wizard.competition.length > 0
+            },
+            {
+                title: 'Which market segment are you targeting?',
+                body: [['', 'Any segment'], ['budget_conscious', 'Budget conscious'], ['mid_market', 'Mid market'], ['premium', 'Premium']].map(([value, text]) => `
+                    <label class="comparison-option">
+                        <input type="radio" name="wizardSegment" data-wizard-field="segment" value="${value}"${wizard.segment === value ? ' checked' : ''}>
+                        ${text}
+                    </label>
+                `).join(''),
+                valid: () => true
+            },
+            {
+                title: 'What level of risk can you tolerate?',
+                body: [['low', 'Low risk only'], ['medium', 'Up to medium risk'], ['high', 'Any risk level']].map(([value, text]) => `
+                    <label class="comparison-option">
+                        <input type="radio" name="wizardRisk" data-wizard-field="risk" value="${value}"${wizard.risk === value ? ' checked' : ''}>
+                        ${text}
+                    </label>
+                `).join(''),
+                valid: () => true
+            }
+        ];
+        
+        if (wizard.step >= steps.length) {
+            await this.renderSiteShortlist(container);
+            return;
+        }
+        
+        const step = steps[wizard.step];
+        
+        container.innerHTML = `
+            <div class="wizard-progress">Step ${wizard.step + 1} of ${steps.length}</div>
+            <div class="comparison-section-title">${step.title}</div>
+            <div class="comparison-picker">${step.body}</div>
+            <div class="action-buttons">
+                ${wizard.step > 0 ? '<button class="btn btn-secondary" data-wizard-nav="back">Back</button>' : ''}
+                <button class="btn btn-primary" data-wizard-nav="next"${step.valid() ? '' : ' disabled'}>${wizard.step === steps.length - 1 ? 'Find Locations' : 'Next'}</button>
+            </div>
+        `;
+        
+        container.querySelectorAll('[data-wizard-field]').forEach(input => {
+            input.addEventListener('change', () => {
+                const field = input.dataset.wizardField;
+                
+                if (input.type === 'checkbox') {
+                    wizard[field] = input.checked
+                        ? [...wizard[field], input.value]
+                        : wizard[field].filter(item => item !== input.value);
+                } else {
+                    wizard[field] = input.value;
+                }
+                
+                container.querySelector('[data-wizard-nav="next"]').disabled = !step.valid();
+            });
+        });
+        
+        container.querySelectorAll('[data-wizard-nav]').forEach(button => {
+            button.addEventListener('click', () => {
+                wizard.step += button.dataset.wizardNav === 'next' ? 1 : -1;
+                this.renderSiteWizard();
+            });
+        });
+    }
+    
+    async renderSiteShortlist(container) {
+        const wizard = this.siteWizard;
+        
+        this.updateStatus('loading', `Scanning ${wizard.cuisines.join(', ')} markets...`);
+        container.innerHTML = '<div class="empty-state"><p>Scanning competitive analyses...</p></div>';
+        
+        const candidates = (await this.loadAllCompetitiveData(wizard.cuisines))
+            .filter(candidate => candidate.data.metadata?.data_quality !== 'insufficient_data')
+            .map(candidate => this.matchSiteCandidate(candidate));
+        
+        const shortlist = candidates
+            .filter(candidate => candidate.eligible)
+            .sort((a, b) => b.matched - a.matched ||
+                (b.rating || 0) - (a.rating || 0) ||
+                b.opportunities - a.opportunities)
+            .slice(0, 10);
+        
+        container.innerHTML = `
+            <div class="wizard-progress">
+                Scanned ${candidates.length} region/cuisine pairs; ${candidates.filter(candidate => candidate.eligible).length} fit your competition and risk limits, showing the ${shortlist.length} best matches
+            </div>
+            ${shortlist.length > 0 ? `
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Region</th>
+                            <th>Cuisine</th>
+                            <th>Criteria Met</th>
+                            <th>Why</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${shortlist.map((candidate, index) => `
+                            <tr class="row-clickable" data-wizard-region="${candidate.region}" data-wizard-cuisine="${candidate.cuisine}">
+                                <td>${index + 1}</td>
+                                <td><strong>${candidate.region}</strong> ${this.formatRegionLocation(candidate.region) || ''}</td>
+                                <td>${candidate.cuisine}</td>
+                                <td>${candidate.matched} of ${candidate.reasons.length}</td>
+                                <td>
+                                    <ul class="wizard-reasons">
+                                        ${candidate.reasons.map(reason => `
+                                            <li class="${reason.met ? 'reason-met' : 'reason-missed'}">${reason.met ? '&#10003;' : '&#10007;'} ${reason.text}</li>
+                                        `).join('')}
+                                    </ul>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : '<div class="empty-state"><p>No region/cuisine pairs match these criteria. Try widening competition or risk tolerance.</p></div>'}
+            <div class="action-buttons wizard-actions">
+                <button class="btn btn-secondary" data-wizard-nav="back">Adjust Criteria</button>
+                <button class="btn btn-secondary" data-wizard-nav="restart">Start Over</button>
+            </div>
+        `;
+        
+        container.querySelectorAll('tr[data-wizard-region]').forEach(rowElement => {
+            rowElement.addEventListener('click', async () => {
+                this.hideView({ updateHistory: false });
+                delete this.panelState.view;
+                await this.restoreSelectionState({
+                    region: rowElement.dataset.wizardRegion,
+                    cuisine: rowElement.dataset.wizardCuisine
+                });
+                this.updateUrlState();
+            });
+        });
+        
+        container.querySelectorAll('[data-wizard-nav]').forEach(button => {
+            button.addEventListener('click', () => {
+                wizard.step = button.dataset.wizardNav === 'restart' ? 0 : wizard.step - 1;
+                this.renderSiteWizard();
+            });
+        });
+        
+        this.updateStatus('ready', `Site selection: ${shortlist.length} recommended locations`);
+        this.log('Site shortlist rendered', { criteria: { ...wizard }, candidates: candidates.length });
+    }
+    
+    matchSiteCandidate({ region, cuisine, data }) {
+        const wizard = this.siteWizard;
+        const riskOrder = { low: 1, medium: 2, high: 3 };
+        const saturation = data.market_saturation || {};
+        const segment = data.menu_optimization?.regional_context?.market_segment;
+        const risk = data.risk_assessment?.overall_risk_level;
+        const level = saturation.saturation_level;
+        const formatLabel = value => (value || 'unknown').replace(/_/g, ' ');
+        const density = saturation.restaurant_density ?? data.metadata?.restaurant_count ?? 0;
+        
+        const reasons = [
+            {
+                required: true,
+                met: wizard.competition.includes(level),
+                text: `${formatLabel(level)} competition (${density} restaurant${density === 1 ? '' : 's'})`
+            },
+            {
+                met: !wizard.segment || segment === wizard.segment,
+                text: wizard.segment ? `${formatLabel(segment)} segment` : 'Any segment accepted'
+            },
+            {
+                required: true,
+                met: Boolean(risk) && riskOrder[risk] <= riskOrder[wizard.risk],
+                text: `${formatLabel(risk)} overall risk`
+            }
+        ];
+        
+        return {
+            region,
+            cuisine,
+            reasons,
+            eligible: reasons.every(reason => !reason.required || reason.met),
+            matched: reasons.filter(reason => reason.met).length,
+            rating: saturation.average_rating,
+            opportunities: (data.differentiation_opportunities || []).length
+        };
+    }
+    
+    loadMyRestaurant() {
+        try {
+            const stored = JSON.parse(localStorage.getItem('restaurantIntelligence.myRestaurant'));
+            return stored ? this.normalizeMyRestaurant(stored) : null;
+        } catch (error) {
+            this.error('Discarding invalid saved restaurant profile:', error);
+            return null;
+        }
+    }
+    
+    saveMyRestaurant(profile) {
+        try {
+            if (profile) {
+                localStorage.setItem('restaurantIntelligence.myRestaurant', JSON.stringify(profile));
+            } else {
+                localStorage.removeItem('restaurantIntelligence.myRestaurant');
+            }
+        } catch (error) {
+            this.error('Could not save restaurant profile:', error);
+        }
+    }
+    
+    normalizeMyRestaurant(raw) {
+        const aliases = {
+            name: ['name', 'restaurant', 'restaurant_name'],
+            rating: ['rating', 'stars'],
+            review_count: ['review_count', 'reviews', 'reviewcount'],
+            cuisine: ['cuisine', 'category'],
+            region: ['zip', 'zip_code', 'zipcode', 'postal_code', 'region'],
+            delivery: ['delivery', 'offers_delivery', 'restaurantsdelivery'],
+            reservations: ['reservations', 'takes_reservations', 'restaurantsreservations']
+        };
+        const source = {};
+        
+        Object.entries({ ...(raw.attributes || {}), ...raw }).forEach(([key, value]) => {
+            source[key.trim().toLowerCase().replace(/[\s-]+/g, '_')] = value;
+        });
+        
+        const read = field => {
+            const key = aliases[field].find(alias => source[alias] !== undefined && source[alias] !== '');
+            return key ? source[key] : undefined;
+        };
+        const toBoolean = value => typeof value === 'boolean'
+            ? value
+            : ['true', 'yes', 'y', '1'].includes(String(value ?? '').trim().toLowerCase());
+        
+        const cuisines = this.dataIndex?.coverage?.cuisines?.main_cuisines || [];
+        const cuisineInput = String(read('cuisine') ?? '').trim();
+        const cuisine = cuisines.find(item => item.toLowerCase() === cuisineInput.toLowerCase());
+        const region = String(read('region') ?? '').trim().slice(0, 5);
+        const rating = Number(read('rating'));
+        const reviewCount = Number(read('review_count'));
+        
+        if (!cuisine) {
+            throw new Error(`Cuisine "${cuisineInput}" is not analyzed. Use one of: ${cuisines.join(', ')}`);
+        }
+        
+        if (!/^\d{5}$/.test(region)) {
+            throw new Error(`"${region}" is not a 5-digit ZIP code`);
+        }
+        
+        if (!Number.isFinite(rating) || rating < 1 || rating > 5) {
+            throw new Error('Rating must be a number between 1 and 5');
+        }
+        
+        if (!Number.isInteger(reviewCount) || reviewCount < 0) {
+            throw new Error('Review count must be a whole number of zero or more');
+        }
+        
+        return {
+            name: String(read('name') ?? '').trim() || 'My Restaurant',
+            rating,
+            review_count: reviewCount,
+            cuisine,
+            region,
+            delivery: toBoolean(read('delivery')),
+            reservations: toBoolean(read('reservations'))
+        };
+    }
+    
+    parseMyRestaurantFile(fileName, text) {
+        if (/\.json$/i.test(fileName) || /^\s*[{[]/.test(text)) {
+            const parsed = JSON.parse(text);
+            const record = Array.isArray(parsed) ? parsed[0] : parsed;
+            
+            if (!record || typeof record !== 'object') {
+                throw new Error('JSON file must contain a restaurant object');
+            }
+            return record;
+        }
+        
+        const [header, ...rows] = this.fromCsv(text);
+        
+        if (!header || rows.length === 0) {
+            throw new Error('CSV file must have a header row and one restaurant row');
+        }
+        
+        return Object.fromEntries(header.map((column, index) => [column, rows[0][index]]));
+    }
+    
+    readMyRestaurantForm() {
+        const form = document.getElementById('myRestaurantForm');
+        
+        return {
+            name: form.elements.name.value,
+            region: form.elements.region.value,
+            cuisine: form.elements.cuisine.value,
+            rating: form.elements.rating.value,
+            review_count: form.elements.review_count.value,
+            delivery: form.elements.delivery.checked,
+            reservations: form.elements.reservations.checked
+        };
+    }
+    
+    fillMyRestaurantForm(profile) {
+        const form = document.getElementById('myRestaurantForm');
+        
+        form.elements.name.value = profile?.name || '';
+        form.elements.region.value = profile?.region || this.currentRegion || '';
+        form.elements.cuisine.value = profile?.cuisine || this.currentCuisine || '';
+        form.elements.rating.value = profile?.rating ?? '';
+        form.elements.review_count.value = profile?.review_count ?? '';
+        form.elements.delivery.checked = !!profile?.delivery;
+        form.elements.reservations.checked = !!profile?.reservations;
+    }
+    
+    async applyMyRestaurant(raw) {
+        const results = document.getElementById('myRestaurantResults');
+        
+        try {
+            this.myRestaurant = this.normalizeMyRestaurant(raw);
+            this.saveMyRestaurant(this.myRestaurant);
+            this.fillMyRestaurantForm(this.myRestaurant);
+            this.log('Restaurant profile saved:', this.myRestaurant);
+            await this.renderMyRestaurantBenchmark();
+        } catch (error) {
+            this.error('Invalid restaurant profile:', error);
+            results.innerHTML = `<div class="empty-state"><p>${this.escapeHtml(error.message)}</p></div>`;
+        }
+    }
+    
+    async importMyRestaurant(file) {
+        try {
+            const text = await file.text();
+            await this.applyMyRestaurant(this.parseMyRestaurantFile(file.name, text));
+        } catch (error) {
+            this.error('Error importing restaurant profile:', error);
+            document.getElementById('myRestaurantResults').innerHTML = `
+                <div class="empty-state"><p>Could not import ${this.escapeHtml(file.name)}: ${this.escapeHtml(error.message)}</p></div>
+            `;
+        }
+    }
+    
+    clearMyRestaurant() {
+        this.myRestaurant = null;
+        this.saveMyRestaurant(null);
+        this.fillMyRestaurantForm(null);
+        this.renderMyRestaurantBenchmark();
+    }
+    
+    async renderMyRestaurant() {
+        const cuisineSelect = document.querySelector('#myRestaurantForm [name="cuisine"]');
+        const cuisines = this.dataIndex?.coverage?.cuisines?.main_cuisines || [];
+        const regions = document.getElementById('myRestaurantRegions');
+        
+        cuisineSelect.innerHTML = '<option value="">Select cuisine...</option>' + cuisines
+            .map(cuisine => `<option value="${this.escapeHtml(cuisine)}">${this.escapeHtml(cuisine)}</option>`)
+            .join('');
+        regions.innerHTML = Object.keys(this.dataManifest?.regions || {})
+            .filter(region => this.getRegionInfo(region).has_competitive_analysis)
+            .map(region => `<option value="${region}">${this.formatRegionLocation(region) || ''}</option>`)
+            .join('');
+        
+        this.fillMyRestaurantForm(this.myRestaurant);
+        await this.renderMyRestaurantBenchmark();
+    }
+    
+    async renderMyRestaurantBenchmark() {
+        const container = document.getElementById('myRestaurantResults');
+        const profile = this.myRestaurant;
+        
+        if (!profile) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <p>Enter your restaurant above, or import it from a JSON or CSV file, to see where it stands locally</p>
+                </div>
+            `;
+            return;
+        }
+        
+        let data;
+        
+        try {
+            data = await this.loadCompetitiveData(profile.region, profile.cuisine);
+            
+            if (data.metadata?.data_quality === 'insufficient_data') {
+                throw new Error(`Insufficient competitive data for ${profile.cuisine} in ${profile.region}`);
+            }
+        } catch (error) {
+            this.error('No competitive analysis for restaurant profile:', error);
+            container.innerHTML = `
+                <div class="empty-state">
+                    <p>There is no ${this.escapeHtml(profile.cuisine)} competitive analysis for ${this.escapeHtml(profile.region)} yet</p>
+                </div>
+            `;
+            return;
+        }
+        
+        const threshold = data.success_benchmarks?.regional_success_threshold || {};
+        const gapChecks = {
+            delivery_service: {
+                closes: () => profile.delivery,
+                closed: 'You already offer delivery',
+                open: 'Add a delivery service'
+            },
+            reservation_system: {
+                closes: () => profile.reservations,
+                closed: 'You already take reservations',
+                open: 'Start taking reservations'
+            },
+            quality_improvement: {
+                closes: () => threshold.min_rating !== undefined && profile.rating >= threshold.min_rating,
+                closed: `Your ${profile.rating.toFixed(1)} rating clears the local bar`,
+                open: `Raise your rating to at least ${threshold.min_rating?.toFixed(1) ?? 'the local threshold'}`
+            }
+        };
+        const gaps = (data.competitive_gaps || []).map(gap => {
+            const check = gapChecks[gap.gap_type];
+            const closed = check ? check.closes() : null;
+            return { ...gap, closed, note: check ? (closed ? check.closed : check.open) : 'Cannot be assessed from your profile' };
+        });
+        
+        const me = { ...profile, business_id: null, isMine: true };
+        const ranked = [...(data.key_competitors || []), me].sort((a, b) =>
+            (b.rating ?? b.stars ?? 0) - (a.rating ?? a.stars ?? 0) || (b.review_count || 0) - (a.review_count || 0));
+        const ratingRank = ranked.indexOf(me) + 1;
+        const reviewRank = [...ranked].sort((a, b) => (b.review_count || 0) - (a.review_count || 0)).indexOf(me) + 1;
+        const meetsRating = threshold.min_rating === undefined ? null : profile.rating >= threshold.min_rating;
+        const meetsReviews = threshold.min_reviews === undefined ? null : profile.review_count >= threshold.min_reviews;
+        const statusLabel = met => met === null ? 'No benchmark' : met ? 'Meets threshold' : 'Below threshold';
+        
+        container.innerHTML = `
+            <div class="comparison-section-title">
+                ${this.escapeHtml(profile.name)} &middot; ${this.escapeHtml(profile.cuisine)} in ${profile.region}
+                <small>${this.formatRegionLocation(profile.region) || ''}</small>
+            </div>
+            <div class="ecosystem-metrics">
+                <div class="metric-card">
+                    <div class="metric-value">#${ratingRank} of ${ranked.length}</div>
+                    <div class="metric-label">Rating Rank</div>
+                    <div class="metric-description">Among ${ranked.length - 1} key competitors</div>
+                </div>
+                <div class="metric-card">
+                    <div class="metric-value">#${reviewRank} of ${ranked.length}</div>
+                    <div class="metric-label">Review Volume Rank</div>
+                    <div class="metric-description">${profile.review_count} reviews</div>
+                </div>
+                <div class="metric-card benchmark-${meetsRating === null ? 'unknown' : meetsRating ? 'met' : 'missed'}">
+                    <div class="metric-value">${profile.rating.toFixed(1)} / ${threshold.min_rating?.toFixed(1) ?? 'N/A'}</div>
+                    <div class="metric-label">Rating vs Threshold</div>
+                    <div class="metric-description">${statusLabel(meetsRating)}</div>
+                </div>
+                <div class="metric-card benchmark-${meetsReviews === null ? 'unknown' : meetsReviews ? 'met' : 'missed'}">
+                    <div class="metric-value">${profile.review_count} / ${threshold.min_reviews ?? 'N/A'}</div>
+                    <div class="metric-label">Reviews vs Threshold</div>
+                    <div class="metric-description">${statusLabel(meetsReviews)}</div>
+                </div>
+            </div>
+            <div class="comparison-section-title">Competitive gaps</div>
+            ${gaps.length > 0 ? `
+                <ul class="wizard-reasons">
+                    ${gaps.map(gap => `
+                        <li class="${gap.closed ? 'reason-met' : gap.closed === false ? 'reason-missed' : ''}">
+                            ${gap.closed ? '&#10003;' : gap.closed === false ? '&#9675;' : '?'}
+                            <strong>${this.formatInsightValue(gap.gap_type)}</strong>: ${this.escapeHtml(gap.note)}
+                            <small>(${this.escapeHtml(gap.description || '')})</small>
+                        </li>
+                    `).join('')}
+                </ul>
+                <p class="wizard-progress">You already close ${gaps.filter(gap => gap.closed).length} of ${gaps.length} gaps in this market</p>
+            ` : '<p>No competitive gaps were identified in this market</p>'}
+            <div class="comparison-section-title">Where you sit among key competitors</div>
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Restaurant</th>
+                        <th>Rating</th>
+                        <th>Reviews</th>
+                        <th>Threat</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${ranked.map((restaurant, index) => `
+                        <tr class="${restaurant.isMine ? 'row-current' : 'row-clickable'}"${restaurant.isMine ? '' : ` data-business-id="${this.escapeHtml(restaurant.business_id)}" title="Open competitor profile"`}>
+                            <td>${index + 1}</td>
+                            <td>${this.escapeHtml(restaurant.name)}${restaurant.isMine ? ' (you)' : ''}</td>
+                            <td>${(restaurant.rating ?? restaurant.stars ?? 0).toFixed(1)}</td>
+                            <td>${restaurant.review_count || 0}</td>
+                            <td>${restaurant.isMine ? '&mdash;' : `<span class="threat-badge threat-${restaurant.threat_level}">${restaurant.threat_level || 'unknown'}</span>`}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        
+        container.querySelectorAll('[data-business-id]').forEach(row => {
+            row.addEventListener('click', () => {
+                this.openCompetitorProfile(row.dataset.businessId);
+            });
+        });
+        
+        this.log(`Benchmarked ${profile.name} in ${profile.region}`, { ratingRank, reviewRank, gaps: gaps.length });
+    }
+    
+    async renderMarketHeatmap() {
+        const container = document.getElementById('heatmapChart');
+        const legend = document.getElementById('heatmapLegend');
+        const cuisines = this.dataIndex?.coverage?.cuisines?.main_cuisines || [];
+        const competitionOrder = { low: 1, medium: 2, high: 3 };
+        const metrics = {
+            restaurant_count: { label: 'Restaurants', value: variation => variation.restaurant_count, interpolate: d3.interpolateBlues },
+            average_rating: { label: 'Average rating', value: variation => variation.average_rating || null, interpolate: d3.interpolateGreens },
+            competition_level: { label: 'Competition level', value: variation => competitionOrder[variation.competition_level], interpolate: d3.interpolateOrRd }
+        };
+        const metricKey = metrics[this.panelState.hmetric] ? this.panelState.hmetric : 'restaurant_count';
+        const metric = metrics[metricKey];
+        
+        document.getElementById('heatmapMetric').value = metricKey;
+        this.updateStatus('loading', 'Building market heatmap...');
+        
+        const cuisineData = await Promise.all(cuisines.map(async cuisine => {
+            try {
+                return { cuisine, variations: (await this.loadCuisineData(cuisine)).regional_variations || {} };
+            } catch (error) {
+                this.error(`Heatmap skipped cuisine ${cuisine}:`, error);
+                return { cuisine, variations: {} };
+            }
+        }));
+        
+        const regions = [...new Set(cuisineData.flatMap(item => Object.keys(item.variations)))]
+            .sort((a, b) => (this.formatRegionLocation(a) || a).localeCompare(this.formatRegionLocation(b) || b) || a.localeCompare(b));
+        
+        if (regions.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>No regional cuisine data is available for the heatmap</p></div>';
+            legend.innerHTML = '';
+            this.updateStatus('ready', 'No markets to show in the heatmap');
+            return;
+        }
+        
+        const cells = regions.flatMap(region => cuisineData.map(({ cuisine, variations }) => {
+            const variation = variations[region];
+            const availability = this.getCuisineAvailability(region, cuisine);
+            
+            return {
+                region,
+                cuisine,
+                variation,
+                value: variation ? metric.value(variation) : null,
+                clickable: this.isRegionAnalyzed(region) && availability?.status !== 'missing'
+            };
+        }));
+        
+        const values = cells.map(cell => cell.value).filter(Number.isFinite);
+        const extent = metricKey === 'competition_level'
+            ? [1, 3]
+            : values.length > 0 ? [Math.min(...values), Math.max(...values)] : [0, 1];
+        const color = d3.scaleSequential(metric.interpolate).domain([extent[0] - (extent[1] - extent[0]) * 0.15, extent[1]]);
+        
+        const cellWidth = 96;
+        const cellHeight = 20;
+        const margin = { top: 40, left: 190 };
+        const width = margin.left + cuisines.length * cellWidth;
+        const height = margin.top + regions.length * cellHeight;
+        
+        container.innerHTML = '';
+        
+        const svg = d3.select(container)
+            .append('svg')
+            .attr('width', width)
+            .attr('height', height)
+            .attr('class', 'heatmap-svg');
+        
+        svg.append('g')
+            .selectAll('text')
+            .data(cuisines)
+            .join('text')
+            .attr('x', (cuisine, index) => margin.left + index * cellWidth + cellWidth / 2)
+            .attr('y', margin.top - 12)
+            .attr('text-anchor', 'middle')
+            .attr('class', 'heatmap-label')
+            .text(cuisine => this.formatCuisineLabel(cuisine));
+        
+        svg.append('g')
+            .selectAll('text')
+            .data(regions)
+            .join('text')
+            .attr('x', margin.left - 8)
+            .attr('y', (region, index) => margin.top + index * cellHeight + cellHeight / 2 + 4)
+            .attr('text-anchor', 'end')
+            .attr('class', region => `heatmap-label${region === this.currentRegion ? ' heatmap-label-current' : ''}${this.isRegionAnalyzed(region) ? '' : ' heatmap-label-muted'}`)
+            .text(region => `${region} ${this.formatRegionLocation(region) || ''}`.trim());
+        
+        const tooltip = d3.select('#tooltip');
+        
+        svg.append('g')
+            .selectAll('rect')
+            .data(cells)
+            .join('rect')
+            .attr('x', cell => margin.left + cuisines.indexOf(cell.cuisine) * cellWidth + 1)
+            .attr('y', cell => margin.top + regions.indexOf(cell.region) * cellHeight + 1)
+            .attr('width', cellWidth - 2)
+            .attr('height', cellHeight - 2)
+            .attr('rx', 3)
+            .attr('fill', cell => (Number.isFinite(cell.value) ? color(cell.value) : '#f1f3f5'))
+            .attr('class', cell => `heatmap-cell${cell.clickable ? ' heatmap-cell-clickable' : ''}`)
+            .on('mouseover', (event, cell) => {
+                const variation = cell.variation;
+                tooltip
+                    .html(`
+                        <strong>${cell.cuisine} in ${cell.region}</strong><br>
+                        ${variation ? `
+                            ${variation.restaurant_count} restaurants &middot; ${(variation.average_rating || 0).toFixed(2)} stars<br>
+                            ${variation.competition_level || 'unknown'} competition &middot; ${variation.market_maturity || 'unknown'} market
+                        ` : 'No restaurants recorded'}
+                        ${cell.clickable ? '<br><em>Click to open this analysis</em>' : ''}
+                    `)
+                    .classed('show', true);
+            })
+            .on('mousemove', (event) => {
+                tooltip
+                    .style('left', `${event.pageX + 12}px`)
+                    .style('top', `${event.pageY + 12}px`);
+            })
+            .on('mouseout', () => {
+                tooltip.classed('show', false);
+            })
+            .on('click', async (event, cell) => {
+                if (!cell.clickable) {
+                    return;
+                }
+                
+                tooltip.classed('show', false);
+                this.hideView({ updateHistory: false });
+                delete this.panelState.view;
+                await this.restoreSelectionState({ region: cell.region, cuisine: cell.cuisine });
+                this.updateUrlState();
+            });
+        
+        const steps = metricKey === 'competition_level'
+            ? [['Low', 1], ['Medium', 2], ['High', 3]]
+            : d3.range(5).map(index => {
+                const value = extent[0] + ((extent[1] - extent[0]) * index) / 4;
+                return [metricKey === 'average_rating' ? value.toFixed(1) : Math.round(value), value];
+            });
+        
+        legend.innerHTML = `
+            <div class="legend-items">
+                <span>${metric.label}:</span>
+                ${steps.map(([label, value]) => `
+                    <div class="legend-item">
+                        <div class="legend-color" style="background: ${color(value)};"></div>
+                        <span>${label}</span>
+                    </div>
+                `).join('')}
+                <div class="legend-item">
+                    <div class="legend-color" style="background: #f1f3f5;"></div>
+                    <span>No restaurants</span>
+                </div>
+            </div>
+        `;
+        
+        this.updateStatus('ready', `Heatmap of ${regions.length} regions × ${cuisines.length} cuisines`);
+        this.log('Market heatmap rendered', { metric: metricKey, regions: regions.length });
+    }
+    
+    buildLeaderboardRow(region, regionalData) {
+        const competitionOrder = { low: 1, medium: 2, high: 3, very_high: 4 };
+        const metrics = this.computeEcosystemMetrics(regionalData);
+        const competitive = regionalData.competitive_environment || {};
+        const overview = regionalData.market_overview || {};
+        
+        return {
+            region,
+            opportunityScore: metrics.opportunityScore,
+            diversityScore: metrics.diversityScore,
+            averageRating: overview.average_rating,
+            competition: competitionOrder[competitive.competition_intensity] || 0,
+            saturationLevel: metrics.saturationLevel,
+            marketGaps: (regionalData.market_opportunities || []).filter(opp => opp.type === 'market_gap').length,
+            restaurants: overview.total_restaurants
+        };
+    }
+    
+    getLaunchPlanItems(competitiveData) {
+        const phaseByTimeline = {
+            planning: 'planning',
+            immediate: 'day_one',
+            day_one: 'day_one',
+            launch: 'launch',
+            launch_phase: 'launch',
+            month_one: 'month_one',
+            ongoing: 'ongoing'
+        };
+        
+        return [
+            ...(competitiveData.actionable_recommendations || []).map(rec => ({ ...rec, source: 'actionable', timing: rec.timeline })),
+            ...(competitiveData.menu_optimization?.strategic_recommendations || []).map(rec => ({ ...rec, source: 'menu', timing: rec.implementation }))
+        ].map(rec => ({
+            ...rec,
+            id: `${rec.source}:${rec.category}:${rec.recommendation}`,
+            phase: phaseByTimeline[rec.timing] || 'unscheduled'
+        }));
+    }
+    
+    getLaunchPlanStorageKey() {
+        return `restaurantIntelligence.launchPlan.${this.currentRegion}.${this.currentCuisine}`;
+    }
+    
+    loadLaunchPlanProgress() {
+        try {
+            return new Set(JSON.parse(localStorage.getItem(this.getLaunchPlanStorageKey())) || []);
+        } catch (error) {
+            this.error('Could not read launch plan progress:', error);
+            return new Set();
+        }
+    }
+    
+    saveLaunchPlanProgress(completed) {
+        try {
+            if (completed.size > 0) {
+                localStorage.setItem(this.getLaunchPlanStorageKey(), JSON.stringify([...completed]));
+            } else {
+                localStorage.removeItem(this.getLaunchPlanStorageKey());
+            }
+        } catch (error) {
+            this.error('Could not save launch plan progress:', error);
+        }
+    }
+    
+    renderLaunchPlan() {
+        const container = document.getElementById('launchPlanContent');
+        const data = this.currentCompetitiveData;
+        
+        if (!this.currentRegion || !this.currentCuisine || !data) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <p>Select a region and cuisine to build a launch plan</p>
+                </div>
+            `;
+            return;
+        }
+        
+        const items = this.getLaunchPlanItems(data);
+        
+        if (items.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <p>No recommendations are available for ${this.currentCuisine} in ${this.currentRegion}</p>
+                </div>
+            `;
+            return;
+        }
+        
+        const completed = this.loadLaunchPlanProgress();
+        const phases = [
+            { key: 'planning', label: 'Planning' },
+            { key: 'day_one', label: 'Day One' },
+            { key: 'launch', label: 'Launch' },
+            { key: 'month_one', label: 'First Month' },
+            { key: 'ongoing', label: 'Ongoing' },
+            { key: 'unscheduled', label: 'Unscheduled' }
+        ];
+        const doneCount = items.filter(item => completed.has(item.id)).length;
+        const percent = Math.round((doneCount / items.length) * 100);
+        
+        container.innerHTML = `
+            <div class="launch-plan-progress">
+                <span>${doneCount} of ${items.length} complete</span>
+                <div class="progress-bar"><div class="progress-fill" style="width: ${percent}%"></div></div>
+                <button class="btn btn-secondary btn-small" id="launchPlanReset"${doneCount === 0 ? ' disabled' : ''}>Reset Progress</button>
+            </div>
+            ${phases.map(phase => {
+                const phaseItems = items
+                    .filter(item => item.phase === phase.key)
+                    .sort((a, b) => this.priorityRank(a.priority) - this.priorityRank(b.priority));
+                
+                if (phaseItems.length === 0) {
+                    return '';
+                }
+                
+                return `
+                    <div class="launch-phase">
+                        <div class="comparison-section-title">
+                            ${phase.label}
+                            <small>${phaseItems.filter(item => completed.has(item.id)).length}/${phaseItems.length}</small>
+                        </div>
+                        ${phaseItems.map(item => `
+                            <label class="launch-item${completed.has(item.id) ? ' done' : ''}">
+                                <input type="checkbox" data-plan-item="${this.escapeHtml(item.id)}"${completed.has(item.id) ? ' checked' : ''}>
+                                <div>
+                                    <div class="launch-item-title">
+                                        ${this.escapeHtml(item.recommendation)}
+                                        <span class="threat-badge threat-${item.priority === 'critical' ? 'high' : item.priority}">${item.priority || 'unrated'}</span>
+                                    </div>
+                                    <div class="launch-item-meta">
+                                        ${this.formatInsightValue(item.category)}
+                                        ${item.expected_impact ? ` &middot; ${this.formatInsightValue(item.expected_impact)} impact` : ''}
+                                        ${item.rationale ? ` &middot; ${this.escapeHtml(item.rationale)}` : ''}
+                                    </div>
+                                </div>
+                            </label>
+                        `).join('')}
+                    </div>
+                `;
+            }).join('')}
+        `;
+        
+        container.querySelectorAll('[data-plan-item]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    completed.add(checkbox.dataset.planItem);
+                } else {
+                    completed.delete(checkbox.dataset.planItem);
                 }
+                
+                this.saveLaunchPlanProgress(completed);
+                this.renderLaunchPlan();
             });
-            
-            this.log('Ecosystem chart created successfully');
-        } catch (error) {
-            this.error('Error creating ecosystem chart:', error);
+        });
+        
+        document.getElementById('launchPlanReset').addEventListener('click', () => {
+            this.saveLaunchPlanProgress(new Set());
+            this.renderLaunchPlan();
+        });
+        
+        this.log('Launch plan rendered', { items: items.length, completed: doneCount });
+    }
+    
+    getTopRecommendation(competitiveData) {
+        const recommendations = [
+            ...(competitiveData.actionable_recommendations || []),
+            ...(competitiveData.menu_optimization?.strategic_recommendations || [])
+        ];
+        
+        if (recommendations.length === 0) {
+            return null;
         }
+        
+        return recommendations.reduce((best, rec) =>
+            this.priorityRank(rec.priority) < this.priorityRank(best.priority) ? rec : best
+        );
+    }
+    
+    priorityRank(priority) {
+        const ranks = {
+            'critical': 0,
+            'high': 1,
+            'medium': 2,
+            'low': 3
+        };
+        return ranks[priority] ?? 4;
     }
     
     populateCuisineSelector() {
@@ -522,14 +3338,52 @@ class RestaurantIntelligencePlatform {
         
         cuisines.forEach(cuisine => {
             const option = document.createElement('option');
+            const label = this.formatCuisineLabel(cuisine);
+            const availability = this.getCuisineAvailability(this.currentRegion, cuisine);
+            
             option.value = cuisine;
-            option.textContent = cuisine.replace(/[_()]/g, ' ').replace(/\s+/g, ' ').trim();
+            option.textContent = availability ? `${label} · ${this.formatCuisineAvailability(availability)}` : label;
+            if (availability && availability.status !== 'available') {
+                option.className = 'option-unavailable';
+            }
             select.appendChild(option);
         });
         
         this.log(`Loaded ${cuisines.length} cuisines into selector`);
     }
     
+    getCuisineAvailability(region, cuisine) {
+        const info = this.getRegionInfo(region);
+        
+        if (!info || !info.cuisines) {
+            return null;
+        }
+        
+        const entry = info.cuisines[cuisine];
+        
+        if (!entry) {
+            return { status: 'missing', restaurantCount: 0, dataQuality: null };
+        }
+        
+        return {
+            status: entry.data_quality === 'insufficient_data' ? 'insufficient' : 'available',
+            restaurantCount: entry.restaurant_count,
+            dataQuality: entry.data_quality
+        };
+    }
+    
+    formatCuisineAvailability(availability) {
+        if (availability.status === 'missing') {
+            return 'no data';
+        }
+        
+        if (availability.status === 'insufficient') {
+            return 'insufficient data';
+        }
+        
+        return `${availability.restaurantCount} restaurant${availability.restaurantCount === 1 ? '' : 's'}`;
+    }
+    
     async updateCuisinePanel(cuisineData, competitiveData) {
         const cuisineContent = document.getElementById('cuisineContent');
         const cuisineEmpty = document.getElementById('cuisineEmpty');
@@ -656,73 +3510,116 @@ class RestaurantIntelligencePlatform {
     
     createCuisineChart(cuisineData, competitiveData, dataSource) {
         const ctx = document.getElementById('cuisineChart').getContext('2d');
+        const metric = this.panelState.cmetric === 'rating' ? 'rating' : 'count';
         
         if (this.charts.cuisine) {
             this.charts.cuisine.destroy();
+            delete this.charts.cuisine;
         }
         
+        document.querySelectorAll('[data-cuisine-metric]').forEach(button => {
+            button.classList.toggle('active', button.dataset.cuisineMetric === metric);
+        });
+        
         try {
-            this.log(`Creating cuisine chart with data source: ${dataSource}`);
-
-            if (competitiveData?.metadata) {
-                const regionInfo = competitiveData.metadata;
-                
-                this.charts.cuisine = new Chart(ctx, {
-                    type: 'doughnut',
-                    data: {
-                        labels: [`Region ${regionInfo.region}`, 'Other Areas'],
-                        datasets: [{
-                            data: [70, 30],
-                            backgroundColor: [
-                                'rgba(102, 126, 234, 0.8)',
-                                'rgba(200, 200, 200, 0.3)'
-                            ]
-                        }]
-                    },
-                    options: {
-                        responsive: true,
-                        maintainAspectRatio: false,
-                        plugins: {
-                            legend: { position: 'bottom' },
-                            title: { 
-                                display: true, 
-                                text: `Regional Analysis: ${regionInfo.region} (${regionInfo.cuisine})` 
-                            }
-                        }
-                    }
-                });
-                
-                this.log('Regional focus chart created');
+            this.log(`Creating cuisine chart with data source: ${dataSource}, metric: ${metric}`);
+            
+            const region = competitiveData?.metadata?.region || this.currentRegion;
+            const cuisine = competitiveData?.metadata?.cuisine || this.currentCuisine;
+            const rows = this.getCuisineRegionRows(cuisineData, competitiveData, metric);
+            
+            if (rows.length === 0) {
+                this.log('No regional variations to chart');
                 return;
             }
-
+            
+            const national = cuisineData?.national_overview || {};
+            const nationalValue = metric === 'rating'
+                ? national.average_rating
+                : national.total_restaurants / national.regional_presence;
+            const rank = rows.findIndex(row => row.region === region) + 1;
+            const shown = rows.slice(0, 12).map((row, index) => ({ ...row, rank: index + 1 }));
+            
+            if (rank > shown.length) {
+                shown.push({ ...rows[rank - 1], rank });
+            }
+            
+            const bars = shown.map(row => ({
+                label: `#${row.rank} ${row.region}`,
+                value: row.value,
+                color: row.region === region ? 'rgba(102, 126, 234, 0.9)' : 'rgba(200, 200, 200, 0.6)'
+            }));
+            
+            if (Number.isFinite(nationalValue)) {
+                const position = bars.findIndex(bar => bar.value < nationalValue);
+                bars.splice(position === -1 ? bars.length : position, 0, {
+                    label: 'National avg',
+                    value: Math.round(nationalValue * 100) / 100,
+                    color: 'rgba(255, 159, 64, 0.8)'
+                });
+            }
+            
+            const metricLabel = metric === 'rating' ? 'Average rating' : 'Restaurants';
+            const rankText = rank > 0 ? `${region} ranks #${rank} of ${rows.length}` : `${region} not in ranking`;
+            
             this.charts.cuisine = new Chart(ctx, {
                 type: 'bar',
                 data: {
-                    labels: ['Data Available', 'Analysis Complete'],
+                    labels: bars.map(bar => bar.label),
                     datasets: [{
-                        label: 'Status',
-                        data: [100, 90],
-                        backgroundColor: 'rgba(102, 126, 234, 0.8)'
+                        label: metricLabel,
+                        data: bars.map(bar => bar.value),
+                        backgroundColor: bars.map(bar => bar.color)
                     }]
                 },
                 options: {
+                    indexAxis: 'y',
                     responsive: true,
                     maintainAspectRatio: false,
+                    scales: {
+                        x: {
+                            beginAtZero: true,
+                            max: metric === 'rating' ? 5 : undefined,
+                            title: { display: true, text: metricLabel }
+                        }
+                    },
                     plugins: {
                         legend: { display: false },
-                        title: { display: true, text: 'Analysis Status' }
+                        title: {
+                            display: true,
+                            text: `${cuisine} ${metric === 'rating' ? 'rating' : 'restaurant count'} by region: ${rankText}`
+                        }
                     }
                 }
             });
             
-            this.log('Fallback chart created');
+            this.log('Cuisine ranking chart created', { metric, rank, regions: rows.length });
             
         } catch (error) {
             this.error('Error creating cuisine chart:', error);
         }
     }
     
+    getCuisineRegionRows(cuisineData, competitiveData, metric) {
+        const variations = { ...(cuisineData?.regional_variations || {}) };
+        const region = competitiveData?.metadata?.region;
+        
+        if (region && !variations[region] && competitiveData.metadata.restaurant_count > 0) {
+            variations[region] = {
+                restaurant_count: competitiveData.metadata.restaurant_count,
+                average_rating: competitiveData.market_saturation?.average_rating
+            };
+        }
+        
+        return Object.entries(variations)
+            .map(([zip, variation]) => ({
+                region: zip,
+                value: metric === 'rating' ? variation.average_rating : variation.restaurant_count
+            }))
+            .filter(row => typeof row.value === 'number' && (metric !== 'rating' || row.value > 0))
+            .sort((a, b) => b.value - a.value || a.region.localeCompare(b.region));
+    }
+    
     async updateCompetitivePanel(competitiveData) {
         const competitiveContent = document.getElementById('competitiveContent');
         const competitiveEmpty = document.getElementById('competitiveEmpty');
@@ -732,41 +3629,662 @@ class RestaurantIntelligencePlatform {
                 competitiveEmpty.style.display = 'none';
                 competitiveContent.style.display = 'block';
                 
-                const competitors = document.getElementById('competitorList');
-                competitors.innerHTML = '';
-                
                 this.log(`Displaying ${competitiveData.key_competitors.length} competitors`);
                 
-                competitiveData.key_competitors.slice(0, 5).forEach(competitor => {
-                    const competitorElement = document.createElement('div');
-                    competitorElement.className = 'competitor-item';
-                    
-                    const rating = competitor.rating || competitor.stars || 0;
-                    const reviews = competitor.review_count || 0;
-                    
-                    competitorElement.innerHTML = `
-                        <div class="competitor-name">${competitor.name}</div>
-                        <div class="competitor-details">
-                            <div class="competitor-stats">
-                                <span>${rating.toFixed(1)} stars</span>
-                                <span>${reviews} reviews</span>
-                            </div>
-                            <div><strong>Strengths:</strong> ${competitor.key_strengths || 'N/A'}</div>
-                            <div><strong>Weaknesses:</strong> ${competitor.key_weaknesses || 'N/A'}</div>
-                        </div>
-                    `;
-                    competitors.appendChild(competitorElement);
-                });
+                const [sortKey, sortDir] = (this.panelState.sort || '').split(':');
+                if (this.getCompetitorSortValue({}, sortKey) !== undefined) {
+                    this.competitorTable.sortKey = sortKey;
+                    this.competitorTable.sortDir = sortDir === 'asc' ? 'asc' : 'desc';
+                }
+                
+                this.competitorTable.filter = '';
+                this.competitorTable.page = 1;
+                document.getElementById('competitorFilter').value = '';
+                
+                this.renderCompetitorTable();
+                await this.showCompetitiveTab(this.panelState.ctab || 'competitors', { updateHistory: false });
+                
+                this.log('Competitive panel updated successfully');
+            } else {
+                competitiveContent.style.display = 'none';
+                competitiveEmpty.style.display = 'block';
+                this.log('No competitors data available');
+            }
+        } catch (error) {
+            this.error('Error updating competitive panel:', error);
+        }
+    }
+    
+    async showCompetitiveTab(tab, { updateHistory = true } = {}) {
+        const panes = document.querySelectorAll('[data-competitive-pane]');
+        
+        if (![...panes].some(pane => pane.dataset.competitivePane === tab)) {
+            tab = 'competitors';
+        }
+        
+        panes.forEach(pane => {
+            pane.style.display = pane.dataset.competitivePane === tab ? 'block' : 'none';
+        });
+        
+        document.querySelectorAll('[data-competitive-tab]').forEach(button => {
+            button.classList.toggle('active', button.dataset.competitiveTab === tab);
+        });
+        
+        if (updateHistory) {
+            this.setPanelState('ctab', tab === 'competitors' ? null : tab);
+        }
+        
+        if (!this.currentCompetitiveData) {
+            return;
+        }
+        
+        switch (tab) {
+            case 'map':
+                await this.renderCompetitorMap(this.currentCompetitiveData);
+                break;
+            case 'risks':
+                this.renderRiskRegister(this.currentCompetitiveData);
+                break;
+            case 'benchmarks':
+                this.renderSuccessBenchmarks(this.currentCompetitiveData);
+                break;
+            case 'customers':
+                this.renderCustomerProfile(this.currentCompetitiveData);
+                break;
+        }
+    }
+    
+    formatCuisineLabel(cuisine) {
+        return cuisine.replace(/[_()]/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+    
+    formatInsightValue(value) {
+        if (!value) {
+            return 'Unknown';
+        }
+        
+        const text = String(value).replace(/_/g, ' ');
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+    
+    async findCompetitorAppearances(businessId) {
+        const entry = this.searchIndex.find(item => item.type === 'competitor' && item.id === businessId);
+        let files;
+        
+        if (entry?.markets?.length > 0) {
+            files = (await Promise.all(entry.markets.map(async ({ region, cuisine }) => {
+                try {
+                    return { region, cuisine, data: await this.loadCompetitiveData(region, cuisine) };
+                } catch (error) {
+                    this.log(`Skipping ${cuisine} in ${region}: ${error.message}`);
+                    return null;
+                }
+            }))).filter(Boolean);
+        } else {
+            files = await this.loadAllCompetitiveData(this.dataIndex?.coverage?.cuisines?.main_cuisines || []);
+        }
+        
+        return files.flatMap(({ region, cuisine, data }) => {
+            const competitors = [...(data.key_competitors || [])]
+                .sort((a, b) => (b.competitor_score || 0) - (a.competitor_score || 0));
+            const index = competitors.findIndex(competitor => competitor.business_id === businessId);
+            
+            return index === -1 ? [] : [{
+                region,
+                cuisine,
+                competitor: competitors[index],
+                rank: index + 1,
+                total: competitors.length
+            }];
+        });
+    }
+    
+    async openCompetitorProfile(businessId, { updateHistory = true } = {}) {
+        const modal = document.getElementById('competitorModal');
+        const body = document.getElementById('competitorModalBody');
+        
+        try {
+            if (updateHistory) {
+                this.setPanelState('competitor', businessId, { replace: false });
+            }
+            
+            document.getElementById('competitorModalTitle').textContent = 'Competitor Profile';
+            body.innerHTML = '<div class="empty-state"><p>Gathering competitor data...</p></div>';
+            modal.classList.add('show');
+            document.body.style.overflow = 'hidden';
+            
+            const appearances = await this.findCompetitorAppearances(businessId);
+            
+            if (appearances.length === 0) {
+                body.innerHTML = '<div class="empty-state"><p>This competitor was not found in any analysis file</p></div>';
+                return;
+            }
+            
+            const profile = appearances[0].competitor;
+            const splitList = value => (value || '').split(';').map(item => item.trim()).filter(Boolean);
+            const strengths = [...new Set(appearances.flatMap(item => splitList(item.competitor.key_strengths)))];
+            const weaknesses = [...new Set(appearances.flatMap(item => splitList(item.competitor.key_weaknesses)))];
+            
+            document.getElementById('competitorModalTitle').textContent = profile.name;
+            
+            body.innerHTML = `
+                <p class="competitor-address">
+                    ${this.escapeHtml(profile.address || '')}${profile.city ? `, ${this.escapeHtml(profile.city)}` : ''}${profile.state ? `, ${this.escapeHtml(profile.state)}` : ''}
+                </p>
+                <div class="comparison-scores profile-summary">
+                    <span>${(profile.rating || profile.stars || 0).toFixed(1)} stars</span>
+                    <span>${profile.review_count || 0} reviews</span>
+                    <span>${this.formatInsightValue(profile.market_position)}</span>
+                    <span>Appears in ${appearances.length} analysis file${appearances.length === 1 ? '' : 's'}</span>
+                </div>
+                <div class="comparison-columns">
+                    <div class="comparison-column">
+                        <div class="comparison-section-title">Strengths</div>
+                        <ul>${strengths.map(item => `<li>${this.escapeHtml(item)}</li>`).join('') || '<li>None recorded</li>'}</ul>
+                    </div>
+                    <div class="comparison-column">
+                        <div class="comparison-section-title">Weaknesses</div>
+                        <ul>${weaknesses.map(item => `<li>${this.escapeHtml(item)}</li>`).join('') || '<li>None recorded</li>'}</ul>
+                    </div>
+                </div>
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Market</th>
+                            <th>Cuisine</th>
+                            <th>Rating</th>
+                            <th>Reviews</th>
+                            <th>Score</th>
+                            <th>Threat</th>
+                            <th>Rank</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${appearances.map(item => `
+                            <tr class="${item.region === this.currentRegion && item.cuisine === this.currentCuisine ? 'row-current' : ''}">
+                                <td>${item.region} ${this.formatRegionLocation(item.region) || ''}</td>
+                                <td>${item.cuisine}</td>
+                                <td>${(item.competitor.rating || item.competitor.stars || 0).toFixed(1)}</td>
+                                <td>${item.competitor.review_count || 0}</td>
+                                <td>${(item.competitor.competitor_score ?? 0).toFixed(2)}</td>
+                                <td><span class="threat-badge threat-${item.competitor.threat_level}">${item.competitor.threat_level || 'unknown'}</span></td>
+                                <td>#${item.rank} of ${item.total}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+            
+            this.log(`Competitor profile opened: ${profile.name}`, { appearances: appearances.length });
+        } catch (error) {
+            this.error('Error opening competitor profile:', error);
+            body.innerHTML = `<div class="empty-state"><p>Could not load competitor profile: ${this.escapeHtml(error.message)}</p></div>`;
+        }
+    }
+    
+    hideCompetitorProfile({ updateHistory = true } = {}) {
+        const modal = document.getElementById('competitorModal');
+        
+        if (modal.classList.contains('show')) {
+            modal.classList.remove('show');
+            document.body.style.overflow = '';
+        }
+        
+        if (!this.panelState.competitor) {
+            return;
+        }
+        
+        if (updateHistory) {
+            this.setPanelState('competitor', null, { replace: false });
+        } else {
+            delete this.panelState.competitor;
+        }
+    }
+    
+    renderRiskRegister(competitiveData) {
+        const container = document.getElementById('competitorRisks');
+        const assessment = competitiveData.risk_assessment || {};
+        const risks = assessment.identified_risks || [];
+        
+        if (assessment.status === 'insufficient_data') {
+            container.innerHTML = '<div class="empty-state"><p>Not enough local data for a risk assessment</p></div>';
+            return;
+        }
+        
+        container.innerHTML = `
+            <div class="insight-card-header">
+                <span>Overall risk</span>
+                <span class="threat-badge threat-${assessment.overall_risk_level}">${this.formatInsightValue(assessment.overall_risk_level)}</span>
+            </div>
+            ${risks.length > 0 ? `
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Risk</th>
+                            <th>Level</th>
+                            <th>Details</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${risks.map(risk => `
+                            <tr>
+                                <td><strong>${this.formatInsightValue(risk.risk_type)}</strong></td>
+                                <td><span class="threat-badge threat-${risk.level}">${this.formatInsightValue(risk.level)}</span></td>
+                                <td>${this.escapeHtml(risk.details || '')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : '<p>No specific risks identified for this market.</p>'}
+            ${assessment.regional_context ? `<p class="insight-card-note">${this.escapeHtml(assessment.regional_context)}</p>` : ''}
+        `;
+    }
+    
+    renderSuccessBenchmarks(competitiveData) {
+        const container = document.getElementById('competitorBenchmarks');
+        const benchmarks = competitiveData.success_benchmarks || {};
+        const threshold = benchmarks.regional_success_threshold || {};
+        const marketRating = competitiveData.market_saturation?.average_rating;
+        
+        if (benchmarks.status === 'insufficient_data') {
+            container.innerHTML = '<div class="empty-state"><p>Not enough local data for success benchmarks</p></div>';
+            return;
+        }
+        
+        container.innerHTML = `
+            <div class="insight-card">
+                <div class="comparison-section-title">What it takes to succeed here</div>
+                <div class="ecosystem-metrics">
+                    <div class="metric-card">
+                        <div class="metric-value">${threshold.min_rating?.toFixed(1) ?? 'N/A'}</div>
+                        <div class="metric-label">Minimum Rating</div>
+                        <div class="metric-description">Market average ${marketRating?.toFixed(2) ?? 'N/A'}</div>
+                    </div>
+                    <div class="metric-card">
+                        <div class="metric-value">${threshold.min_reviews ?? 'N/A'}</div>
+                        <div class="metric-label">Minimum Reviews</div>
+                        <div class="metric-description">To be taken seriously locally</div>
+                    </div>
+                    <div class="metric-card">
+                        <div class="metric-value">${benchmarks.average_rating_leaders?.toFixed(2) ?? 'N/A'}</div>
+                        <div class="metric-label">Leader Avg Rating</div>
+                        <div class="metric-description">Across ${benchmarks.top_performer_count ?? 0} top performers</div>
+                    </div>
+                    <div class="metric-card">
+                        <div class="metric-value">${benchmarks.average_reviews_leaders ?? 'N/A'}</div>
+                        <div class="metric-label">Leader Avg Reviews</div>
+                        <div class="metric-description">Review volume of top performers</div>
+                    </div>
+                </div>
+                ${(benchmarks.success_factors_observed || []).length > 0 ? `
+                    <div class="comparison-section-title">Success factors observed</div>
+                    <div class="comparison-scores">
+                        ${benchmarks.success_factors_observed.map(factor => `<span>${this.formatInsightValue(factor)}</span>`).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    renderCustomerProfile(competitiveData) {
+        const container = document.getElementById('competitorCustomers');
+        const insights = competitiveData.customer_insights || {};
+        const profile = insights.regional_customer_profile || {};
+        const indicators = insights.market_indicators || {};
+        
+        if (insights.status === 'insufficient_data') {
+            container.innerHTML = '<div class="empty-state"><p>Not enough local data for a customer profile</p></div>';
+            return;
+        }
+        
+        container.innerHTML = `
+            <div class="insight-card">
+                <div class="comparison-section-title">Regional customer profile</div>
+                <div class="insight-card-row">
+                    <span>Sophistication</span>
+                    <strong>${this.formatInsightValue(profile.sophistication_level)}</strong>
+                </div>
+                <div class="insight-card-row">
+                    <span>Review engagement</span>
+                    <strong>${this.formatInsightValue(profile.engagement_level)}</strong>
+                </div>
+                <div class="insight-card-row">
+                    <span>Dining culture</span>
+                    <strong>${this.formatInsightValue(insights.regional_dining_culture)}</strong>
+                </div>
+                <div class="comparison-section-title">Primary preferences</div>
+                <div class="comparison-scores">
+                    ${(profile.primary_preferences || []).map(preference => `<span>${this.formatInsightValue(preference)}</span>`).join('') || '<span>None recorded</span>'}
+                </div>
+                <p class="insight-card-note">
+                    Based on ${indicators.total_regional_reviews ?? 0} reviews across ${indicators.restaurants_evaluated ?? 0} restaurants
+                    (average satisfaction ${indicators.average_satisfaction?.toFixed(2) ?? 'N/A'}).
+                </p>
+            </div>
+        `;
+    }
+    
+    async renderCompetitorMap(competitiveData) {
+        const container = document.getElementById('competitorMap');
+        const legend = document.getElementById('competitorMapLegend');
+        const competitors = competitiveData.key_competitors || [];
+        const region = competitiveData.metadata?.region;
+        
+        container.innerHTML = '';
+        
+        try {
+            const [geoTable, coordinates] = await Promise.all([this.loadGeoTable(), this.loadBusinessCoordinates()]);
+            const centroids = geoTable.zip_centroids || {};
+            const home = centroids[region];
+            
+            const located = competitors
+                .map(competitor => {
+                    const point = coordinates[competitor.business_id];
+                    if (typeof competitor.latitude === 'number' && typeof competitor.longitude === 'number') {
+                        return { competitor, lat: competitor.latitude, lng: competitor.longitude };
+                    }
+                    return point ? { competitor, lat: point.lat, lng: point.lng } : null;
+                })
+                .filter(Boolean);
+            const isMap = located.length > 0;
+            
+            if (competitors.length === 0) {
+                container.innerHTML = `
+                    <div class="empty-state">
+                        <p>No competitors to plot for region ${region}</p>
+                    </div>
+                `;
+                legend.innerHTML = '';
+                return;
+            }
+            
+            const width = container.clientWidth || 520;
+            const height = 300;
+            
+            const threatColors = {
+                high: '#dc3545',
+                medium: '#ffc107',
+                low: '#28a745'
+            };
+            const points = isMap ? located : competitors.map(competitor => ({ competitor }));
+            const radius = d3.scaleSqrt()
+                .domain([0, d3.max(points, point => point.competitor.review_count || 0) || 1])
+                .range([4, 18]);
+            
+            if (!isMap) {
+                container.innerHTML = `
+                    <p class="map-unavailable">
+                        Competitor map not available: the data has no coordinates for these competitors, so they cannot be placed on a map.
+                        The chart below groups them by threat level only; positions do not represent locations.
+                    </p>
+                `;
+            }
+            
+            const svg = d3.select(container)
+                .append('svg')
+                .attr('class', 'competitor-map')
+                .attr('viewBox', `0 0 ${width} ${height}`)
+                .attr('width', '100%')
+                .attr('height', height);
+            
+            const reference = svg.append('g').attr('class', 'map-reference');
+            let nodes;
+            
+            if (isMap) {
+                const neighbours = Object.entries(centroids)
+                    .filter(([, centroid]) => home && centroid.state === home.state && centroid.city === home.city);
+                const extentPoints = located.map(point => [point.lng, point.lat]);
+                const [anchorLng, anchorLat] = extentPoints[0];
+                extentPoints.push([anchorLng - 0.005, anchorLat - 0.005], [anchorLng + 0.005, anchorLat + 0.005]);
+                
+                const projection = d3.geoMercator().fitExtent([[30, 30], [width - 30, height - 30]], {
+                    type: 'MultiPoint',
+                    coordinates: extentPoints
+                });
+                
+                neighbours.forEach(([zip, centroid]) => {
+                    const [x, y] = projection([centroid.lng, centroid.lat]);
+                    
+                    if (x < 0 || x > width || y < 0 || y > height) {
+                        return;
+                    }
+                    
+                    reference.append('circle')
+                        .attr('cx', x)
+                        .attr('cy', y)
+                        .attr('r', 3)
+                        .attr('class', 'map-zip-dot');
+                    
+                    reference.append('text')
+                        .attr('x', x)
+                        .attr('y', y - 6)
+                        .attr('text-anchor', 'middle')
+                        .attr('class', zip === region ? 'map-label map-label-home' : 'map-label')
+                        .text(zip);
+                });
+                
+                nodes = located.map(point => {
+                    const [x, y] = projection([point.lng, point.lat]);
+                    return { ...point, x, y, r: radius(point.competitor.review_count || 0) };
+                });
+            } else {
+                const levels = ['high', 'medium', 'low'];
+                const band = d3.scaleBand().domain(levels).range([0, width]).padding(0.1);
+                
+                levels.forEach(level => {
+                    reference.append('text')
+                        .attr('x', band(level) + band.bandwidth() / 2)
+                        .attr('y', 18)
+                        .attr('text-anchor', 'middle')
+                        .attr('class', 'map-label map-label-home')
+                        .text(`${level} threat`);
+                });
+                
+                nodes = points.map(point => {
+                    const level = levels.includes(point.competitor.threat_level) ? point.competitor.threat_level : 'medium';
+                    const x = band(level) + band.bandwidth() / 2;
+                    return { ...point, x, y: height / 2, anchorX: x, r: radius(point.competitor.review_count || 0) };
+                });
+                
+                const simulation = d3.forceSimulation(nodes)
+                    .force('x', d3.forceX(node => node.anchorX).strength(0.2))
+                    .force('y', d3.forceY(height / 2 + 10).strength(0.1))
+                    .force('collide', d3.forceCollide(node => node.r + 1.5))
+                    .stop();
+                
+                for (let i = 0; i < 150; i++) {
+                    simulation.tick();
+                }
+            }
+            
+            const tooltip = d3.select('#tooltip');
+            
+            svg.append('g')
+                .selectAll('circle')
+                .data(nodes)
+                .join('circle')
+                .attr('class', 'map-competitor')
+                .attr('cx', node => node.x)
+                .attr('cy', node => node.y)
+                .attr('r', node => node.r)
+                .attr('fill', node => threatColors[node.competitor.threat_level] || '#6c757d')
+                .on('mouseover', (event, node) => {
+                    const competitor = node.competitor;
+                    tooltip
+                        .html(`
+                            <strong>${this.escapeHtml(competitor.name)}</strong><br>
+                            ${this.escapeHtml(competitor.address || '')}, ${this.escapeHtml(competitor.city || '')}<br>
+                            ${(competitor.rating || competitor.stars || 0).toFixed(1)} stars &middot; ${competitor.review_count || 0} reviews<br>
+                            Threat: ${competitor.threat_level || 'unknown'}
+                        `)
+                        .classed('show', true);
+                })
+                .on('mousemove', (event) => {
+                    tooltip
+                        .style('left', `${event.pageX + 12}px`)
+                        .style('top', `${event.pageY + 12}px`);
+                })
+                .on('mouseout', () => {
+                    tooltip.classed('show', false);
+                })
+                .on('click', (event, node) => {
+                    tooltip.classed('show', false);
+                    this.openCompetitorProfile(node.competitor.business_id);
+                });
+            
+            const missingCount = competitors.length - located.length;
+            
+            legend.innerHTML = `
+                <div class="legend-items">
+                    ${Object.entries(threatColors).map(([level, color]) => `
+                        <div class="legend-item">
+                            <div class="legend-color" style="background: ${color};"></div>
+                            <span>${level} threat</span>
+                        </div>
+                    `).join('')}
+                    <div class="legend-item"><span>Bubble size: review count</span></div>
+                </div>
+                ${isMap
+                    ? (missingCount > 0 ? `<p class="map-note">${missingCount} of ${competitors.length} competitors have no coordinates in the geocode table and are not plotted.</p>` : '')
+                    : '<p class="map-note">To enable the map, run <code>npm run build-geocode</code> with the Yelp business file, then <code>npm run build-manifest</code>.</p>'}
+            `;
+            
+            this.log(isMap
+                ? `Competitor map rendered with ${nodes.length} competitors`
+                : `Competitor map unavailable, ${nodes.length} competitors grouped by threat level`);
+            
+        } catch (error) {
+            this.error('Error rendering competitor map:', error);
+            container.innerHTML = `
+                <div class="empty-state">
+                    <p>Unable to render competitor map</p>
+                    <p><small>${error.message}</small></p>
+                </div>
+            `;
+        }
+    }
+    
+    getCompetitorSortValue(competitor, key) {
+        const threatOrder = { 'low': 1, 'medium': 2, 'high': 3 };
+        const positionOrder = { 'budget': 1, 'mid-range': 2, 'premium': 3 };
+        
+        const accessors = {
+            name: () => (competitor.name || '').toLowerCase(),
+            rating: () => competitor.rating || competitor.stars || 0,
+            review_count: () => competitor.review_count || 0,
+            competitor_score: () => competitor.competitor_score || 0,
+            threat_level: () => threatOrder[competitor.threat_level] || 0,
+            market_position: () => positionOrder[competitor.market_position] || 0
+        };
+        
+        return accessors[key] ? accessors[key]() : undefined;
+    }
+    
+    getVisibleCompetitors() {
+        const { sortKey, sortDir, filter, threats } = this.competitorTable;
+        const query = filter.trim().toLowerCase();
+        const direction = sortDir === 'asc' ? 1 : -1;
+        
+        return (this.currentCompetitiveData?.key_competitors || [])
+            .filter(competitor => threats.includes(competitor.threat_level))
+            .filter(competitor => !query ||
+                `${competitor.name} ${competitor.address} ${competitor.city}`.toLowerCase().includes(query))
+            .sort((a, b) => {
+                const valueA = this.getCompetitorSortValue(a, sortKey);
+                const valueB = this.getCompetitorSortValue(b, sortKey);
+                if (valueA < valueB) return -1 * direction;
+                if (valueA > valueB) return 1 * direction;
+                return 0;
+            });
+    }
+    
+    renderCompetitorTable() {
+        const container = document.getElementById('competitorList');
+        const table = this.competitorTable;
+        const competitors = this.getVisibleCompetitors();
+        const total = this.currentCompetitiveData?.key_competitors?.length || 0;
+        const pageCount = Math.max(1, Math.ceil(competitors.length / table.pageSize));
+        
+        table.page = Math.min(Math.max(1, table.page), pageCount);
+        
+        const start = (table.page - 1) * table.pageSize;
+        const pageItems = table.printing ? competitors : competitors.slice(start, start + table.pageSize);
+        
+        const columns = [
+            { key: 'name', label: 'Competitor' },
+            { key: 'rating', label: 'Rating' },
+            { key: 'review_count', label: 'Reviews' },
+            { key: 'competitor_score', label: 'Score' },
+            { key: 'threat_level', label: 'Threat' },
+            { key: 'market_position', label: 'Position' }
+        ];
+        
+        const headerCells = columns.map(column => {
+            const active = column.key === table.sortKey;
+            const indicator = active ? (table.sortDir === 'asc' ? ' &#9650;' : ' &#9660;') : '';
+            return `<th class="sortable${active ? ' sorted' : ''}" data-sort="${column.key}">${column.label}${indicator}</th>`;
+        }).join('');
+        
+        const rows = pageItems.map(competitor => {
+            const rating = competitor.rating || competitor.stars || 0;
+            
+            return `
+                <tr class="competitor-row row-clickable" data-business-id="${this.escapeHtml(competitor.business_id)}" title="Open competitor profile">
+                    <td>
+                        <div class="competitor-name">${this.escapeHtml(competitor.name)}</div>
+                        <div class="competitor-address">${this.escapeHtml(competitor.address || '')}</div>
+                    </td>
+                    <td>${rating.toFixed(1)}</td>
+                    <td>${competitor.review_count || 0}</td>
+                    <td>${(competitor.competitor_score ?? 0).toFixed(2)}</td>
+                    <td><span class="threat-badge threat-${competitor.threat_level}">${competitor.threat_level || 'unknown'}</span></td>
+                    <td>${competitor.market_position || 'Unknown'}</td>
+                </tr>
+                <tr class="competitor-detail">
+                    <td colspan="${columns.length}">
+                        <strong>Strengths:</strong> ${this.escapeHtml(competitor.key_strengths || 'N/A')}
+                        &middot; <strong>Weaknesses:</strong> ${this.escapeHtml(competitor.key_weaknesses || 'N/A')}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+        
+        container.innerHTML = `
+            <table class="data-table competitor-table">
+                <thead><tr>${headerCells}</tr></thead>
+                <tbody>
+                    ${rows || `<tr><td colspan="${columns.length}">No competitors match the current filters</td></tr>`}
+                </tbody>
+            </table>
+        `;
+        
+        container.querySelectorAll('th[data-sort]').forEach(header => {
+            header.addEventListener('click', () => {
+                const key = header.dataset.sort;
+                
+                if (table.sortKey === key) {
+                    table.sortDir = table.sortDir === 'asc' ? 'desc' : 'asc';
+                } else {
+                    table.sortKey = key;
+                    table.sortDir = key === 'name' ? 'asc' : 'desc';
+                }
                 
-                this.log('Competitive panel updated successfully');
-            } else {
-                competitiveContent.style.display = 'none';
-                competitiveEmpty.style.display = 'block';
-                this.log('No competitors data available');
-            }
-        } catch (error) {
-            this.error('Error updating competitive panel:', error);
-        }
+                table.page = 1;
+                this.setPanelState('sort', `${table.sortKey}:${table.sortDir}`);
+                this.renderCompetitorTable();
+            });
+        });
+        
+        document.querySelectorAll('[data-threat-chip]').forEach(chip => {
+            chip.classList.toggle('active', table.threats.includes(chip.dataset.threatChip));
+        });
+        
+        document.getElementById('competitorCount').textContent = competitors.length === total
+            ? `${total} competitors`
+            : `${competitors.length} of ${total} competitors`;
+        document.getElementById('competitorPageInfo').textContent = `Page ${table.page} of ${pageCount}`;
+        document.getElementById('competitorPrev').disabled = table.page <= 1;
+        document.getElementById('competitorNext').disabled = table.page >= pageCount;
     }
     
     async updateOpportunitiesPanel(cuisineData, competitiveData) {
@@ -774,30 +4292,49 @@ class RestaurantIntelligencePlatform {
         const opportunitiesEmpty = document.getElementById('opportunitiesEmpty');
         
         try {
-            const opportunities = competitiveData.differentiation_opportunities || [];
+            const allOpportunities = competitiveData.differentiation_opportunities || [];
+            const allGaps = (competitiveData.competitive_gaps || [])
+                .map(gap => ({ ...gap, region_specific: gap.region_specific ?? true }));
+            const hasGeneral = [...allOpportunities, ...allGaps].some(item => item.region_specific === false);
+            const filter = this.panelState.ofilter === 'region' || (this.panelState.ofilter === 'general' && hasGeneral)
+                ? this.panelState.ofilter
+                : 'all';
+            const matchesFilter = item => filter === 'all' || item.region_specific === (filter === 'region');
+            const opportunities = allOpportunities.filter(matchesFilter);
+            const gaps = allGaps.filter(matchesFilter);
             
-            if (opportunities.length > 0) {
+            if (allOpportunities.length > 0 || allGaps.length > 0) {
                 opportunitiesEmpty.style.display = 'none';
                 opportunitiesContent.style.display = 'block';
                 
+                document.querySelectorAll('[data-opportunity-filter]').forEach(chip => {
+                    chip.classList.toggle('active', chip.dataset.opportunityFilter === filter);
+                    chip.style.display = chip.dataset.opportunityFilter === 'general' && !hasGeneral ? 'none' : '';
+                });
+                
                 const opportunityGrid = document.getElementById('opportunityGrid');
-                opportunityGrid.innerHTML = '';
+                opportunityGrid.innerHTML = opportunities.length === 0
+                    ? '<p class="opportunity-none">No differentiation opportunities match this filter</p>'
+                    : '';
                 
-                this.log(`Displaying ${opportunities.length} opportunities`);
+                this.log(`Displaying ${opportunities.length} opportunities and ${gaps.length} gaps (filter: ${filter})`);
                 
-                opportunities.slice(0, 5).forEach(opp => {
+                this.createOpportunityMatrix(opportunities, gaps);
+                
+                opportunities.forEach((opp, index) => {
                     const oppElement = document.createElement('div');
                     oppElement.className = 'opportunity-card';
 
-                    let score = 60;
-                    if (opp.market_demand === 'high') score += 20;
-                    if (opp.competitive_advantage === 'strong') score += 15;
-                    if (opp.implementation_difficulty === 'low') score += 5;
+                    const result = this.scoring.score('differentiation', opp);
+                    this.scoreBreakdowns.set(`differentiation-${index}`, { title: 'Differentiation Score', result });
                     
                     oppElement.innerHTML = `
                         <div class="opportunity-header">
                             <div class="opportunity-title">${opp.opportunity}</div>
-                            <div class="opportunity-score">${score}</div>
+                            <div class="opportunity-score">
+                                ${result.score}
+                                <button class="score-info" data-score-breakdown="differentiation-${index}" title="How was this computed?">?</button>
+                            </div>
                         </div>
                         <div class="opportunity-description">
                             <div><strong>Market Demand:</strong> ${opp.market_demand || 'Medium'}</div>
@@ -820,6 +4357,357 @@ class RestaurantIntelligencePlatform {
         }
     }
     
+    async updateMenuPanel(competitiveData) {
+        const menuContent = document.getElementById('menuContent');
+        const menuEmpty = document.getElementById('menuEmpty');
+        const menu = competitiveData.menu_optimization || {};
+        
+        try {
+            if (this.charts.menu) {
+                this.charts.menu.destroy();
+                delete this.charts.menu;
+            }
+            
+            if (menu.status) {
+                menuContent.style.display = 'none';
+                menuEmpty.style.display = 'block';
+                menuEmpty.innerHTML = `
+                    <div class="empty-state-icon">Menu Optimization</div>
+                    <p>${this.escapeHtml(menu.message || 'No menu analysis for this market')}</p>
+                    <p><small>The analysis pipeline produced no dish data (${menu.status.replace(/_/g, ' ')})</small></p>
+                `;
+                this.log(`Menu panel empty: ${menu.status}`);
+                return;
+            }
+            
+            const sections = [
+                { key: 'regional_popular_dishes', label: 'Regionally Popular Dishes' },
+                { key: 'competitive_advantage_dishes', label: 'Competitive Advantage Dishes' },
+                { key: 'menu_diversification_options', label: 'Diversification Options' },
+                { key: 'pricing_strategy_dishes', label: 'Pricing Strategy' }
+            ];
+            const dishCount = sections.reduce((sum, section) => sum + (menu[section.key]?.length || 0), 0);
+            const context = menu.regional_context || {};
+            const adoption = context.service_maturity || {};
+            
+            menuEmpty.style.display = 'none';
+            menuContent.style.display = 'block';
+            
+            document.getElementById('menuContext').innerHTML = `
+                <span>${this.formatInsightValue(context.market_segment)} segment</span>
+                <span>Expectations: ${this.formatInsightValue(context.customer_expectations)}</span>
+                <span>Quality bar ${context.market_quality_bar?.toFixed(2) ?? 'N/A'}</span>
+                <span>Delivery ${Math.round((adoption.delivery_adoption || 0) * 100)}%</span>
+                <span>Reservations ${Math.round((adoption.reservation_adoption || 0) * 100)}%</span>
+            `;
+            
+            document.getElementById('menuSections').innerHTML = dishCount === 0
+                ? `
+                    <div class="empty-state menu-no-dishes">
+                        <p>No dishes were extracted for ${this.escapeHtml(menu.cuisine || this.currentCuisine)} in ${this.escapeHtml(menu.region || this.currentRegion)}</p>
+                        <p><small>${menu.restaurants_analyzed ?? 0} restaurants analyzed; the pipeline found no dish mentions to rank</small></p>
+                    </div>
+                `
+                : sections.filter(section => menu[section.key]?.length > 0).map(section => `
+                    <div class="menu-section">
+                        <div class="comparison-section-title">${section.label} (${menu[section.key].length})</div>
+                        <ul class="menu-dish-list">
+                            ${menu[section.key].map(dish => this.renderMenuDish(dish)).join('')}
+                        </ul>
+                    </div>
+                `).join('');
+            
+            this.createMenuChart(menu.regional_popular_dishes || []);
+            
+            this.log('Menu panel updated', { dishes: dishCount });
+        } catch (error) {
+            this.error('Error updating menu panel:', error);
+        }
+    }
+    
+    getDishName(dish) {
+        return typeof dish === 'string' ? dish : (dish.dish_name || dish.name || dish.dish || 'Unnamed dish');
+    }
+    
+    getDishPopularity(dish) {
+        if (typeof dish !== 'object' || dish === null) {
+            return null;
+        }
+        
+        const value = dish.popularity_score ?? dish.popularity ?? dish.mention_count ?? dish.mentions ?? dish.frequency;
+        return typeof value === 'number' ? value : null;
+    }
+    
+    renderMenuDish(dish) {
+        const attributes = typeof dish === 'object' && dish !== null
+            ? Object.entries(dish).filter(([key, value]) =>
+                !['dish_name', 'name', 'dish'].includes(key) && value !== null && typeof value !== 'object')
+            : [];
+        
+        return `
+            <li>
+                <strong>${this.escapeHtml(this.getDishName(dish))}</strong>
+                ${attributes.length > 0 ? `
+                    <div class="comparison-scores">
+                        ${attributes.map(([key, value]) => `
+                            <span>${this.formatInsightValue(key)}: ${this.escapeHtml(typeof value === 'number' ? Math.round(value * 100) / 100 : value)}</span>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </li>
+        `;
+    }
+    
+    createMenuChart(dishes) {
+        const container = document.getElementById('menuChartContainer');
+        const ranked = dishes
+            .map(dish => ({ name: this.getDishName(dish), popularity: this.getDishPopularity(dish) }))
+            .filter(dish => dish.popularity !== null)
+            .sort((a, b) => b.popularity - a.popularity)
+            .slice(0, 10);
+        
+        container.style.display = ranked.length > 0 ? 'block' : 'none';
+        
+        if (ranked.length === 0) {
+            return;
+        }
+        
+        this.charts.menu = new Chart(document.getElementById('menuChart').getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: ranked.map(dish => dish.name),
+                datasets: [{
+                    label: 'Popularity',
+                    data: ranked.map(dish => dish.popularity),
+                    backgroundColor: 'rgba(255, 159, 64, 0.8)'
+                }]
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: { x: { beginAtZero: true } },
+                plugins: {
+                    legend: { display: false },
+                    title: { display: true, text: 'Dish popularity in this region' }
+                }
+            }
+        });
+    }
+    
+    createOpportunityMatrix(opportunities, gaps) {
+        const levels = { low: 1, medium: 2, high: 3 };
+        const advantageRadius = { weak: 7, medium: 10, strong: 14 };
+        const assumedGapEffort = { reservation_system: 'low', delivery_service: 'medium', quality_improvement: 'high' };
+        const jitter = index => ((index % 3) - 1) * 0.08;
+        
+        if (this.charts.opportunityMatrix) {
+            this.charts.opportunityMatrix.destroy();
+        }
+        
+        const opportunityPoints = opportunities.map((opp, index) => ({
+            x: (levels[opp.implementation_difficulty] || 2) + jitter(index),
+            y: (levels[opp.market_demand] || 2) + jitter(index + 1),
+            r: advantageRadius[opp.competitive_advantage] || 10,
+            name: opp.opportunity,
+            detail: opp.basis || ''
+        }));
+        
+        const gapPoints = gaps.map((gap, index) => {
+            const effort = gap.implementation_difficulty || assumedGapEffort[gap.gap_type] || 'medium';
+            
+            return {
+                x: levels[effort] + jitter(index + 2),
+                y: (levels[gap.opportunity_size] || 2) + jitter(index),
+                r: 8 + (levels[gap.opportunity_size] || 2) * 2,
+                name: `Gap: ${this.formatInsightValue(gap.gap_type)}`,
+                detail: gap.description || '',
+                note: gap.implementation_difficulty ? '' : `Effort assumed ${effort}: not in the source data`
+            };
+        });
+        const hasAssumedEffort = gapPoints.some(point => point.note);
+        
+        const levelLabel = value => ({ 1: 'Low', 2: 'Medium', 3: 'High' })[value] || '';
+        
+        this.charts.opportunityMatrix = new Chart(document.getElementById('opportunityMatrix').getContext('2d'), {
+            type: 'bubble',
+            data: {
+                datasets: [{
+                    label: 'Differentiation opportunities',
+                    data: opportunityPoints,
+                    backgroundColor: 'rgba(102, 126, 234, 0.6)',
+                    borderColor: 'rgba(102, 126, 234, 1)'
+                }, {
+                    label: hasAssumedEffort ? 'Competitive gaps (effort assumed)' : 'Competitive gaps',
+                    data: gapPoints,
+                    backgroundColor: 'rgba(255, 159, 64, 0.6)',
+                    borderColor: 'rgba(255, 159, 64, 1)'
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: {
+                        min: 0.5,
+                        max: 3.5,
+                        title: { display: true, text: 'Effort (implementation difficulty)' },
+                        ticks: { stepSize: 1, callback: levelLabel }
+                    },
+                    y: {
+                        min: 0.5,
+                        max: 3.5,
+                        title: { display: true, text: 'Impact (demand or gap size)' },
+                        ticks: { stepSize: 1, callback: levelLabel }
+                    }
+                },
+                plugins: {
+                    legend: { position: 'bottom' },
+                    title: { display: true, text: 'Impact vs Effort: top-left are quick wins' },
+                    tooltip: {
+                        callbacks: {
+                            label: context => {
+                                const point = context.raw;
+                                return [point.name, point.detail, point.note].filter(Boolean);
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+    
+    calculateDifferentiationScore(opp) {
+        return this.scoring.score('differentiation', opp).score;
+    }
+    
+    loadScoringWeights() {
+        try {
+            return JSON.parse(localStorage.getItem('restaurantIntelligence.scoringWeights')) || {};
+        } catch (error) {
+            this.error('Could not read saved scoring weights:', error);
+            return {};
+        }
+    }
+    
+    saveScoringWeights() {
+        try {
+            localStorage.setItem('restaurantIntelligence.scoringWeights', JSON.stringify(this.scoring.getWeights()));
+        } catch (error) {
+            this.error('Could not save scoring weights:', error);
+        }
+    }
+    
+    showScoringModal() {
+        this.renderScoringForm(this.scoring.getWeights());
+        document.getElementById('scoringModal').classList.add('show');
+        document.body.style.overflow = 'hidden';
+        this.log('Scoring settings shown');
+    }
+    
+    hideScoringModal() {
+        document.getElementById('scoringModal').classList.remove('show');
+        document.body.style.overflow = '';
+    }
+    
+    renderScoringForm(weights) {
+        document.getElementById('scoringForm').innerHTML = Object.entries(SCORING_WEIGHT_DEFINITIONS).map(([scorer, definition]) => `
+            <fieldset class="scoring-group">
+                <legend>${definition.label}</legend>
+                ${Object.entries(definition.weights).map(([key, weight]) => `
+                    <label class="scoring-field">
+                        <span>${weight.label}</span>
+                        <input type="number" step="any" min="0" data-scorer="${scorer}" data-weight="${key}" value="${weights[scorer][key]}">
+                        <small>Default ${weight.default}</small>
+                    </label>
+                `).join('')}
+            </fieldset>
+        `).join('');
+    }
+    
+    async applyScoringWeights() {
+        const weights = {};
+        
+        document.querySelectorAll('#scoringForm [data-scorer]').forEach(input => {
+            weights[input.dataset.scorer] = weights[input.dataset.scorer] || {};
+            weights[input.dataset.scorer][input.dataset.weight] = input.value;
+        });
+        
+        this.scoring.setWeights(weights);
+        this.saveScoringWeights();
+        this.hideScoringModal();
+        await this.recomputeScores();
+    }
+    
+    async resetScoringWeights() {
+        this.scoring.setWeights({});
+        
+        try {
+            localStorage.removeItem('restaurantIntelligence.scoringWeights');
+        } catch (error) {
+            this.error('Could not clear saved scoring weights:', error);
+        }
+        
+        this.renderScoringForm(this.scoring.getWeights());
+        await this.recomputeScores();
+    }
+    
+    async recomputeScores() {
+        try {
+            this.hideScoreBreakdown();
+            
+            if (this.currentRegionalData) {
+                await this.updateEcosystemPanel(this.currentRegionalData);
+            }
+            
+            if (this.currentCompetitiveData && this.currentCompetitiveData.metadata?.data_quality !== 'insufficient_data') {
+                await this.updateOpportunitiesPanel(this.currentCuisineData, this.currentCompetitiveData);
+            }
+            
+            if (this.activeView) {
+                await this.renderView(this.activeView);
+            }
+            
+            this.updateStatus('ready', 'Scores recomputed with updated weights');
+            this.log('Scores recomputed', this.scoring.getWeights());
+        } catch (error) {
+            this.error('Error recomputing scores:', error);
+            this.updateStatus('error', 'Failed to recompute scores - Check console');
+        }
+    }
+    
+    showScoreBreakdown(trigger) {
+        const popover = document.getElementById('scoreBreakdown');
+        const breakdown = this.scoreBreakdowns.get(trigger.dataset.scoreBreakdown);
+        
+        if (!breakdown) {
+            return;
+        }
+        
+        const { title, result } = breakdown;
+        const rect = trigger.getBoundingClientRect();
+        
+        popover.innerHTML = `
+            <div class="score-popover-title">${title}: ${result.score}</div>
+            <table>
+                ${result.components.map(component => `
+                    <tr>
+                        <td>${component.label}<br><small>${this.escapeHtml(component.detail)}</small></td>
+                        <td>${component.points >= 0 ? '+' : ''}${Math.round(component.points * 100) / 100}</td>
+                    </tr>
+                `).join('')}
+            </table>
+            ${result.capped ? `<small>Raw total ${result.raw} capped at ${this.scoring.maxScore}</small>` : ''}
+        `;
+        popover.style.left = `${rect.left + window.scrollX}px`;
+        popover.style.top = `${rect.bottom + window.scrollY + 6}px`;
+        popover.classList.add('show');
+    }
+    
+    hideScoreBreakdown() {
+        document.getElementById('scoreBreakdown').classList.remove('show');
+    }
+    
     updateRegionalInsights(regionalData) {
         const insights = [];
         
@@ -918,6 +4806,7 @@ class RestaurantIntelligencePlatform {
     
     displayInsights(insights) {
         const container = document.getElementById('insightsContainer');
+        this.currentInsights = insights;
         
         if (insights.length === 0) {
             container.innerHTML = `
@@ -957,9 +4846,34 @@ class RestaurantIntelligencePlatform {
         this.log(`Status updated: ${type} - ${message}`);
     }
     
+    resetCuisinePanels() {
+        this.hideMarketGapView();
+        
+        [
+            { content: 'cuisineContent', empty: 'cuisineEmpty' },
+            { content: 'competitiveContent', empty: 'competitiveEmpty' },
+            { content: 'opportunitiesContent', empty: 'opportunitiesEmpty' },
+            { content: 'menuContent', empty: 'menuEmpty' }
+        ].forEach(panel => {
+            document.getElementById(panel.empty).style.display = 'block';
+            document.getElementById(panel.content).style.display = 'none';
+        });
+        
+        ['cuisine', 'menu', 'opportunityMatrix'].forEach(key => {
+            if (this.charts[key]) {
+                this.charts[key].destroy();
+                delete this.charts[key];
+            }
+        });
+    }
+    
     clearAllPanels() {
         try {
             document.getElementById('ecosystemEmpty').style.display = 'block';
+            document.getElementById('ecosystemEmpty').innerHTML = `
+                <div class="empty-state-icon">Market Ecosystem</div>
+                <p>Select a region to analyze market ecosystem</p>
+            `;
             document.getElementById('ecosystemContent').style.display = 'none';
             
             document.getElementById('cuisineEmpty').style.display = 'block';
@@ -970,6 +4884,11 @@ class RestaurantIntelligencePlatform {
             
             document.getElementById('opportunitiesEmpty').style.display = 'block';
             document.getElementById('opportunitiesContent').style.display = 'none';
+            
+            document.getElementById('menuEmpty').style.display = 'block';
+            document.getElementById('menuContent').style.display = 'none';
+            
+            this.hideMarketGapView();
 
             const cuisineSelect = document.getElementById('cuisineSelect');
             cuisineSelect.innerHTML = '<option value="">Select region first...</option>';
@@ -987,6 +4906,10 @@ class RestaurantIntelligencePlatform {
             });
             this.charts = {};
             
+            if (this.activeView) {
+                this.renderView(this.activeView);
+            }
+            
             this.updateStatus('ready', 'Select a region to begin analysis');
             this.log('All panels cleared');
             
@@ -995,6 +4918,393 @@ class RestaurantIntelligencePlatform {
         }
     }
     
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
+    downloadFile(fileName, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        
+        this.log(`Downloaded ${fileName}`);
+    }
+    
+    toCsv(columns, rows) {
+        const escapeField = (value) => {
+            if (value === null || value === undefined) {
+                return '';
+            }
+            
+            let text = Array.isArray(value) ? value.join('; ') : String(value);
+            
+            if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+                text = `'${text}`;
+            }
+            
+            return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        
+        const lines = [
+            columns.map(escapeField).join(','),
+            ...rows.map(row => columns.map(column => escapeField(row[column])).join(','))
+        ];
+        
+        return '\ufeff' + lines.join('\r\n') + '\r\n';
+    }
+    
+    fromCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        const source = text.replace(/^\ufeff/, '');
+        
+        for (let index = 0; index < source.length; index++) {
+            const char = source[index];
+            
+            if (quoted) {
+                if (char === '"' && source[index + 1] === '"') {
+                    field += '"';
+                    index++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[index + 1] === '\n') {
+                    index++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        
+        return rows.filter(item => item.some(value => value.trim() !== ''));
+    }
+    
+    getPanelExport(panel) {
+        const data = this.currentCompetitiveData;
+        
+        if (panel === 'competitors') {
+            return {
+                json: { key_competitors: data.key_competitors || [] },
+                columns: [
+                    'business_id',
+                    'name',
+                    'address',
+                    'city',
+                    'state',
+                    'rating',
+                    'review_count',
+                    'competitor_score',
+                    'threat_level',
+                    'market_position',
+                    'key_strengths',
+                    'key_weaknesses'
+                ],
+                rows: data.key_competitors || []
+            };
+        }
+        
+        if (panel === 'opportunities') {
+            const opportunities = data.differentiation_opportunities || [];
+            const recommendations = data.actionable_recommendations || [];
+            
+            return {
+                json: {
+                    differentiation_opportunities: opportunities,
+                    actionable_recommendations: recommendations
+                },
+                columns: [
+                    'record_type',
+                    'title',
+                    'market_demand',
+                    'implementation_difficulty',
+                    'competitive_advantage',
+                    'basis',
+                    'category',
+                    'priority',
+                    'timeline',
+                    'expected_impact',
+                    'region_specific'
+                ],
+                rows: [
+                    ...opportunities.map(opp => ({
+                        ...opp,
+                        record_type: 'differentiation_opportunity',
+                        title: opp.opportunity
+                    })),
+                    ...recommendations.map(rec => ({
+                        ...rec,
+                        record_type: 'actionable_recommendation',
+                        title: rec.recommendation
+                    }))
+                ]
+            };
+        }
+        
+        throw new Error(`Unknown export panel: ${panel}`);
+    }
+    
+    exportPanelData(panel, format) {
+        if (!this.currentCompetitiveData) {
+            this.updateStatus('error', 'Select a region and cuisine before exporting');
+            return;
+        }
+        
+        try {
+            const exportData = this.getPanelExport(panel);
+            const fileStem = [panel, this.currentRegion, this.currentCuisine]
+                .join('-')
+                .replace(/[^A-Za-z0-9-]+/g, '_')
+                .replace(/_+(?=-|$)/g, '');
+            
+            if (format === 'csv') {
+                this.downloadFile(`${fileStem}.csv`, this.toCsv(exportData.columns, exportData.rows), 'text/csv;charset=utf-8');
+            } else {
+                const payload = {
+                    region: this.currentRegion,
+                    cuisine: this.currentCuisine,
+                    last_updated: this.currentCompetitiveData.metadata?.last_updated || null,
+                    exported_at: new Date().toISOString(),
+                    ...exportData.json
+                };
+                this.downloadFile(`${fileStem}.json`, JSON.stringify(payload, null, 2), 'application/json');
+            }
+            
+            this.updateStatus('ready', `Exported ${exportData.rows.length} ${panel} rows as ${format.toUpperCase()}`);
+        } catch (error) {
+            this.error(`Error exporting ${panel} data:`, error);
+            this.updateStatus('error', `Failed to export ${panel} data - Check console`);
+        }
+    }
+    
+    getReportFileStem() {
+        return ['restaurant-report', this.currentRegion, this.currentCuisine]
+            .filter(Boolean)
+            .join('-')
+            .replace(/[^A-Za-z0-9-]+/g, '_')
+            .replace(/_+(?=-|$)/g, '');
+    }
+    
+    getReportLastUpdated() {
+        const lastUpdated = this.currentCompetitiveData?.metadata?.last_updated ||
+                            this.currentRegionalData?.metadata?.last_updated;
+        
+        return lastUpdated ? new Date(lastUpdated).toLocaleDateString() : 'unknown';
+    }
+    
+    updatePrintCover() {
+        const cuisineLabel = this.currentCuisine || 'All cuisines';
+        
+        document.getElementById('printCover').innerHTML = `
+            <h1>Market Analysis Report</h1>
+            <p class="print-cover-subtitle">Region ${this.escapeHtml(this.currentRegion)} &middot; ${this.escapeHtml(cuisineLabel)}</p>
+            <p>Data last updated: ${this.getReportLastUpdated()}</p>
+            <p>Generated: ${new Date().toLocaleDateString()}</p>
+        `;
+    }
+    
+    printReport() {
+        if (!this.currentRegion) {
+            this.updateStatus('error', 'Select a region before printing a report');
+            return;
+        }
+        
+        this.updatePrintCover();
+        this.log('Opening print dialog for current analysis');
+        window.print();
+    }
+    
+    exportReport() {
+        if (!this.currentRegion) {
+            this.updateStatus('error', 'Select a region before exporting a report');
+            return;
+        }
+        
+        try {
+            const html = this.buildReportHtml();
+            this.downloadFile(`${this.getReportFileStem()}.html`, html, 'text/html');
+            this.updateStatus('ready', 'Report exported - open the file and print it to save as PDF');
+        } catch (error) {
+            this.error('Error exporting report:', error);
+            this.updateStatus('error', 'Failed to export report - Check console');
+        }
+    }
+    
+    isChartVisible(chart) {
+        let element = chart.canvas;
+        
+        if (!element?.isConnected) {
+            return false;
+        }
+        
+        for (; element; element = element.parentElement) {
+            if (getComputedStyle(element).display === 'none') {
+                return false;
+            }
+        }
+        
+        return true;
+    }
+    
+    buildReportHtml() {
+        const esc = (value) => this.escapeHtml(value);
+        const region = this.currentRegion;
+        const cuisine = this.currentCuisine;
+        const regionalData = this.currentRegionalData;
+        const metrics = regionalData ? this.computeEcosystemMetrics(regionalData) : null;
+        const overview = regionalData?.market_overview || {};
+        const competitiveData = this.currentCompetitiveData;
+        
+        const competitors = competitiveData?.key_competitors || [];
+        const opportunities = competitiveData?.differentiation_opportunities || [];
+        
+        const chartTitles = {
+            ecosystem: 'Market Ecosystem',
+            cuisine: 'Cuisine Market',
+            comparison: 'Region Comparison',
+            opportunityMatrix: 'Impact vs Effort',
+            menu: 'Dish Popularity',
+            explorerRatings: 'Cuisine Rating Distribution',
+            explorerCounts: 'Cuisine Market Size Distribution'
+        };
+        const chartImages = Object.entries(this.charts)
+            .filter(([, chart]) => chart && typeof chart.toBase64Image === 'function' && this.isChartVisible(chart))
+            .map(([name, chart]) => `
+                <figure>
+                    <img src="${chart.toBase64Image()}" alt="${esc(chartTitles[name] || name)} chart">
+                    <figcaption>${esc(chartTitles[name] || name)}</figcaption>
+                </figure>
+            `).join('');
+        
+        const competitorRows = competitors.map(competitor => `
+            <tr>
+                <td>${esc(competitor.name)}</td>
+                <td>${esc(competitor.address)}</td>
+                <td>${(competitor.rating || competitor.stars || 0).toFixed(1)}</td>
+                <td>${competitor.review_count || 0}</td>
+                <td>${esc(competitor.threat_level || 'unknown')}</td>
+                <td>${esc(competitor.key_strengths || 'N/A')}</td>
+                <td>${esc(competitor.key_weaknesses || 'N/A')}</td>
+            </tr>
+        `).join('');
+        
+        const opportunityCards = opportunities.map(opp => `
+            <div class="card">
+                <strong>${esc(opp.opportunity)}</strong> (score ${this.calculateDifferentiationScore(opp)})
+                <div>Market demand: ${esc(opp.market_demand || 'medium')} &middot;
+                     Implementation: ${esc(opp.implementation_difficulty || 'moderate')} &middot;
+                     Advantage: ${esc(opp.competitive_advantage || 'moderate')}</div>
+                ${opp.basis ? `<div><em>${esc(opp.basis)}</em></div>` : ''}
+            </div>
+        `).join('');
+        
+        const insightItems = this.currentInsights.map(insight => `
+            <div class="card">
+                <strong>${esc(insight.title)}</strong>
+                <div>${esc(insight.description)}</div>
+            </div>
+        `).join('');
+        
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Market Analysis Report - ${esc(region)}${cuisine ? ` - ${esc(cuisine)}` : ''}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #212529; margin: 40px; line-height: 1.5; }
+    h1 { font-size: 2.4em; margin-bottom: 0.2em; }
+    h2 { border-bottom: 2px solid #000; padding-bottom: 4px; margin-top: 32px; }
+    .cover { min-height: 80vh; display: flex; flex-direction: column; justify-content: center; text-align: center; }
+    .cover .subtitle { font-size: 1.4em; color: #6c757d; }
+    .metrics { display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px; }
+    .metric { border: 1px solid #e9ecef; border-radius: 8px; padding: 12px; text-align: center; }
+    .metric .value { font-size: 1.6em; font-weight: 700; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.85em; }
+    th, td { border-bottom: 1px solid #e9ecef; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background: #f8f9fa; }
+    .card { border: 1px solid #e9ecef; border-radius: 8px; padding: 10px 12px; margin-bottom: 8px; }
+    figure { display: inline-block; width: 45%; margin: 8px; text-align: center; }
+    figure img { max-width: 100%; }
+    @media print {
+        body { margin: 0; }
+        .cover { page-break-after: always; }
+        h2 { page-break-after: avoid; }
+        tr, .card, figure { page-break-inside: avoid; }
+    }
+</style>
+</head>
+<body>
+<section class="cover">
+    <h1>Market Analysis Report</h1>
+    <p class="subtitle">Region ${esc(region)} &middot; ${esc(cuisine || 'All cuisines')}</p>
+    <p>Data last updated: ${this.getReportLastUpdated()}</p>
+    <p>Generated: ${new Date().toLocaleDateString()}</p>
+</section>
+
+${metrics ? `
+<h2>Market Ecosystem</h2>
+<div class="metrics">
+    <div class="metric"><div class="value">${metrics.diversityScore}</div>Diversity Score</div>
+    <div class="metric"><div class="value">${metrics.saturationLevel}</div>Saturation Level</div>
+    <div class="metric"><div class="value">${metrics.opportunityScore}</div>Opportunity Score</div>
+    <div class="metric"><div class="value">${metrics.customerLevel}</div>Customer Level</div>
+</div>
+<p>${overview.total_restaurants ?? 'N/A'} restaurants across ${overview.cuisine_diversity ?? 'N/A'} cuisines, averaging ${overview.average_rating ?? 'N/A'} stars over ${overview.total_reviews ?? 'N/A'} reviews.</p>` : ''}
+
+${competitors.length > 0 ? `
+<h2>Competitive Intelligence</h2>
+<table>
+    <thead>
+        <tr><th>Competitor</th><th>Address</th><th>Rating</th><th>Reviews</th><th>Threat</th><th>Strengths</th><th>Weaknesses</th></tr>
+    </thead>
+    <tbody>${competitorRows}</tbody>
+</table>` : ''}
+
+${opportunities.length > 0 ? `
+<h2>Market Opportunities</h2>
+${opportunityCards}` : ''}
+
+${insightItems ? `
+<h2>Strategic Business Insights</h2>
+${insightItems}` : ''}
+
+${chartImages ? `
+<h2>Charts</h2>
+${chartImages}` : ''}
+</body>
+</html>`;
+    }
+    
     showHelpModal() {
         document.getElementById('helpModal').classList.add('show');
         document.body.style.overflow = 'hidden';
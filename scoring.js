@@ -0,0 +1,174 @@
+const SCORING_WEIGHT_DEFINITIONS = {
+    diversity: {
+        label: 'Diversity Score',
+        weights: {
+            cuisineRatioMultiplier: { label: 'Cuisines per restaurant multiplier', default: 1000 },
+            perEmergingCuisine: { label: 'Points per emerging cuisine', default: 5 }
+        }
+    },
+    opportunity: {
+        label: 'Opportunity Score',
+        weights: {
+            base: { label: 'Base score', default: 50 },
+            perOpportunity: { label: 'Points per market opportunity', default: 10 },
+            perHighPotential: { label: 'Extra points per high-potential opportunity', default: 15 },
+            smallMarketThreshold: { label: 'Small market threshold (restaurants)', default: 50 },
+            smallMarketBonus: { label: 'Small market bonus', default: 20 },
+            midMarketThreshold: { label: 'Mid-size market threshold (restaurants)', default: 100 },
+            midMarketBonus: { label: 'Mid-size market bonus', default: 10 }
+        }
+    },
+    differentiation: {
+        label: 'Differentiation Score',
+        weights: {
+            base: { label: 'Base score', default: 60 },
+            highDemand: { label: 'High market demand', default: 20 },
+            strongAdvantage: { label: 'Strong competitive advantage', default: 15 },
+            lowDifficulty: { label: 'Low implementation difficulty', default: 5 }
+        }
+    }
+};
+
+class ScoringEngine {
+    constructor(weights = {}) {
+        this.maxScore = 100;
+        this.scorers = {
+            diversity: (weights, overview, landscape) => this.scoreDiversity(weights, overview, landscape),
+            opportunity: (weights, opportunities, overview) => this.scoreOpportunity(weights, opportunities, overview),
+            differentiation: (weights, opp) => this.scoreDifferentiation(weights, opp)
+        };
+        this.setWeights(weights);
+    }
+
+    static getDefaultWeights() {
+        const defaults = {};
+
+        Object.entries(SCORING_WEIGHT_DEFINITIONS).forEach(([scorer, definition]) => {
+            defaults[scorer] = {};
+            Object.entries(definition.weights).forEach(([key, weight]) => {
+                defaults[scorer][key] = weight.default;
+            });
+        });
+
+        return defaults;
+    }
+
+    setWeights(weights = {}) {
+        const defaults = ScoringEngine.getDefaultWeights();
+
+        this.weights = {};
+        Object.entries(defaults).forEach(([scorer, scorerDefaults]) => {
+            this.weights[scorer] = { ...scorerDefaults };
+            Object.entries(weights[scorer] || {}).forEach(([key, value]) => {
+                const number = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+
+                if (key in scorerDefaults && value !== null && Number.isFinite(number) && number >= 0) {
+                    this.weights[scorer][key] = number;
+                }
+            });
+        });
+    }
+
+    getWeights() {
+        return JSON.parse(JSON.stringify(this.weights));
+    }
+
+    registerScorer(name, scorer, defaultWeights = {}) {
+        this.scorers[name] = scorer;
+        this.weights[name] = { ...defaultWeights, ...(this.weights[name] || {}) };
+    }
+
+    score(name, ...args) {
+        const scorer = this.scorers[name];
+
+        if (!scorer) {
+            throw new Error(`Unknown scorer: ${name}`);
+        }
+
+        return scorer(this.weights[name] || {}, ...args);
+    }
+
+    finalize(components) {
+        const raw = components.reduce((sum, component) => sum + component.points, 0);
+        const score = Math.min(this.maxScore, Math.round(raw));
+
+        return {
+            score,
+            raw: Math.round(raw * 100) / 100,
+            capped: raw > this.maxScore,
+            components
+        };
+    }
+
+    scoreDiversity(weights, overview = {}, landscape = {}) {
+        const cuisineCount = overview.cuisine_diversity || 0;
+        const totalRestaurants = overview.total_restaurants || 1;
+        const emerging = landscape.emerging_cuisines?.length || 0;
+        const ratioPoints = Math.min(this.maxScore, (cuisineCount / totalRestaurants) * weights.cuisineRatioMultiplier);
+
+        return this.finalize([
+            {
+                label: 'Cuisine variety',
+                detail: `${cuisineCount} cuisines / ${totalRestaurants} restaurants × ${weights.cuisineRatioMultiplier}`,
+                points: ratioPoints
+            },
+            {
+                label: 'Emerging cuisines',
+                detail: `${emerging} × ${weights.perEmergingCuisine}`,
+                points: emerging * weights.perEmergingCuisine
+            }
+        ]);
+    }
+
+    scoreOpportunity(weights, opportunities = [], overview = {}) {
+        const highPotential = opportunities.filter(opp => opp.potential === 'high').length;
+        const totalRestaurants = overview.total_restaurants || 0;
+        let marketSize = { label: 'Market size', detail: `${totalRestaurants} restaurants`, points: 0 };
+
+        if (totalRestaurants < weights.smallMarketThreshold) {
+            marketSize = { ...marketSize, detail: `${totalRestaurants} < ${weights.smallMarketThreshold} restaurants`, points: weights.smallMarketBonus };
+        } else if (totalRestaurants < weights.midMarketThreshold) {
+            marketSize = { ...marketSize, detail: `${totalRestaurants} < ${weights.midMarketThreshold} restaurants`, points: weights.midMarketBonus };
+        }
+
+        return this.finalize([
+            { label: 'Base', detail: 'Starting score', points: weights.base },
+            {
+                label: 'Market opportunities',
+                detail: `${opportunities.length} × ${weights.perOpportunity}`,
+                points: opportunities.length * weights.perOpportunity
+            },
+            {
+                label: 'High potential',
+                detail: `${highPotential} × ${weights.perHighPotential}`,
+                points: highPotential * weights.perHighPotential
+            },
+            marketSize
+        ]);
+    }
+
+    scoreDifferentiation(weights, opp = {}) {
+        return this.finalize([
+            { label: 'Base', detail: 'Starting score', points: weights.base },
+            {
+                label: 'Market demand',
+                detail: opp.market_demand || 'unknown',
+                points: opp.market_demand === 'high' ? weights.highDemand : 0
+            },
+            {
+                label: 'Competitive advantage',
+                detail: opp.competitive_advantage || 'unknown',
+                points: opp.competitive_advantage === 'strong' ? weights.strongAdvantage : 0
+            },
+            {
+                label: 'Implementation difficulty',
+                detail: opp.implementation_difficulty || 'unknown',
+                points: opp.implementation_difficulty === 'low' ? weights.lowDifficulty : 0
+            }
+        ]);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScoringEngine, SCORING_WEIGHT_DEFINITIONS };
+}
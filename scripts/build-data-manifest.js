@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '../web_app/data');
+const OUTPUT_DIRS = [DATA_DIR, path.join(__dirname, '../data')].filter(dir => fs.existsSync(dir));
+
+function readJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function listJson(dir) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+}
+
+function mostCommon(counts) {
+    let best = null;
+    Object.entries(counts).forEach(([key, count]) => {
+        if (!best || count > best.count) {
+            best = { key, count };
+        }
+    });
+    return best ? best.key : null;
+}
+
+function ensureRegion(regions, zip) {
+    if (!regions[zip]) {
+        regions[zip] = {
+            city: null,
+            state: null,
+            location_source: null,
+            has_region_analysis: false,
+            has_competitive_analysis: false,
+            restaurant_count: null,
+            average_rating: null,
+            counts_scope: null,
+            cuisines: {}
+        };
+    }
+    return regions[zip];
+}
+
+function buildManifest() {
+    const regions = {};
+    const locationVotes = {};
+    const cuisineTotals = {};
+
+    console.log('Scanning region analyses...');
+    listJson(path.join(DATA_DIR, 'regions')).forEach(file => {
+        const data = readJson(path.join(DATA_DIR, 'regions', file));
+        const zip = data.metadata?.region || path.basename(file, '.json');
+        const entry = ensureRegion(regions, zip);
+        const overview = data.market_overview || {};
+
+        entry.has_region_analysis = true;
+        entry.restaurant_count = overview.total_restaurants ?? null;
+        entry.average_rating = overview.average_rating ?? null;
+        entry.counts_scope = 'all_cuisines';
+    });
+
+    console.log('Scanning competitive analyses...');
+    listJson(path.join(DATA_DIR, 'competitive')).forEach(file => {
+        const data = readJson(path.join(DATA_DIR, 'competitive', file));
+        const zip = data.metadata?.region;
+        if (!zip) {
+            return;
+        }
+
+        const entry = ensureRegion(regions, zip);
+        entry.has_competitive_analysis = true;
+
+        if (data.metadata.cuisine) {
+            entry.cuisines[data.metadata.cuisine] = {
+                data_quality: data.metadata.data_quality || 'unknown',
+                restaurant_count: data.metadata.restaurant_count ?? 0
+            };
+        }
+
+        (data.key_competitors || []).forEach(competitor => {
+            if (competitor.city && competitor.state) {
+                const location = `${competitor.city}|${competitor.state}`;
+                locationVotes[zip] = locationVotes[zip] || {};
+                locationVotes[zip][location] = (locationVotes[zip][location] || 0) + 1;
+            }
+        });
+    });
+
+    console.log('Scanning cuisine analyses...');
+    listJson(path.join(DATA_DIR, 'cuisines')).forEach(file => {
+        const data = readJson(path.join(DATA_DIR, 'cuisines', file));
+
+        Object.entries(data.regional_variations || {}).forEach(([zip, variation]) => {
+            ensureRegion(regions, zip);
+            const totals = cuisineTotals[zip] || { count: 0, ratingSum: 0 };
+            const count = variation.restaurant_count || 0;
+            totals.count += count;
+            totals.ratingSum += (variation.average_rating || 0) * count;
+            cuisineTotals[zip] = totals;
+        });
+    });
+
+    const prefixVotes = {};
+    Object.entries(locationVotes).forEach(([zip, votes]) => {
+        const location = mostCommon(votes);
+        const [city, state] = location.split('|');
+        Object.assign(regions[zip], { city, state, location_source: 'competitor_addresses' });
+
+        const prefix = zip.slice(0, 3);
+        prefixVotes[prefix] = prefixVotes[prefix] || {};
+        prefixVotes[prefix][location] = (prefixVotes[prefix][location] || 0) + 1;
+    });
+
+    Object.entries(regions).forEach(([zip, entry]) => {
+        if (!entry.city && prefixVotes[zip.slice(0, 3)]) {
+            const [city, state] = mostCommon(prefixVotes[zip.slice(0, 3)]).split('|');
+            Object.assign(entry, { city, state, location_source: 'zip_prefix' });
+        }
+
+        if (entry.restaurant_count === null && cuisineTotals[zip]?.count > 0) {
+            const totals = cuisineTotals[zip];
+            entry.restaurant_count = totals.count;
+            entry.average_rating = Math.round((totals.ratingSum / totals.count) * 100) / 100;
+            entry.counts_scope = 'main_cuisines';
+        }
+    });
+
+    const sortedRegions = {};
+    Object.keys(regions).sort().forEach(zip => {
+        sortedRegions[zip] = regions[zip];
+    });
+
+    const indexPath = path.join(DATA_DIR, 'data_index.json');
+    const indexRegionCount = fs.existsSync(indexPath)
+        ? readJson(indexPath).coverage?.regions?.total_available ?? null
+        : null;
+
+    return {
+        metadata: {
+            index_region_count: indexRegionCount,
+            business_coordinates: fs.existsSync(path.join(DATA_DIR, 'geo', 'business_coordinates.json')),
+            region_count: Object.keys(sortedRegions).length,
+            analyzed_region_count: Object.values(sortedRegions)
+                .filter(entry => entry.has_region_analysis || entry.has_competitive_analysis).length
+        },
+        regions: sortedRegions
+    };
+}
+
+function buildSearchIndex(manifest) {
+    const entries = [];
+    const competitors = {};
+    const cuisineMarkets = {};
+
+    Object.entries(manifest.regions).forEach(([zip, entry]) => {
+        if (!entry.has_region_analysis && !entry.has_competitive_analysis) {
+            return;
+        }
+
+        entries.push({
+            type: 'region',
+            id: zip,
+            label: zip,
+            detail: entry.city ? `${entry.city}, ${entry.state}` : 'Location unknown',
+            region: zip
+        });
+
+        Object.keys(entry.cuisines).forEach(cuisine => {
+            cuisineMarkets[cuisine] = (cuisineMarkets[cuisine] || 0) + 1;
+        });
+    });
+
+    Object.keys(cuisineMarkets).sort().forEach(cuisine => {
+        entries.push({
+            type: 'cuisine',
+            id: cuisine,
+            label: cuisine,
+            detail: `Competitive data in ${cuisineMarkets[cuisine]} regions`,
+            cuisine
+        });
+    });
+
+    console.log('Indexing competitors...');
+    listJson(path.join(DATA_DIR, 'competitive')).forEach(file => {
+        const data = readJson(path.join(DATA_DIR, 'competitive', file));
+        const { region, cuisine } = data.metadata || {};
+        if (!region || !cuisine) {
+            return;
+        }
+
+        (data.key_competitors || []).forEach(competitor => {
+            if (!competitor.business_id) {
+                return;
+            }
+
+            if (!competitors[competitor.business_id]) {
+                competitors[competitor.business_id] = {
+                    type: 'competitor',
+                    id: competitor.business_id,
+                    label: competitor.name,
+                    detail: [competitor.address, competitor.city, competitor.state].filter(Boolean).join(', '),
+                    region,
+                    cuisine,
+                    markets: []
+                };
+            }
+            competitors[competitor.business_id].markets.push({ region, cuisine });
+        });
+    });
+
+    Object.values(competitors)
+        .sort((a, b) => a.label.localeCompare(b.label))
+        .forEach(competitor => entries.push(competitor));
+
+    return {
+        metadata: {
+            entry_count: entries.length,
+            competitor_count: Object.keys(competitors).length
+        },
+        entries
+    };
+}
+
+function main() {
+    console.log('Building data manifest...');
+
+    try {
+        const manifest = buildManifest();
+        const searchIndex = buildSearchIndex(manifest);
+        const { index_region_count: indexCount, region_count: regionCount } = manifest.metadata;
+
+        OUTPUT_DIRS.forEach(dir => {
+            const manifestPath = path.join(dir, 'data_manifest.json');
+            const searchIndexPath = path.join(dir, 'search_index.json');
+
+            fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+            fs.writeFileSync(searchIndexPath, JSON.stringify(searchIndex));
+
+            console.log(`Manifest written to ${path.relative(process.cwd(), manifestPath)}`);
+            console.log(`Search index written to ${path.relative(process.cwd(), searchIndexPath)}`);
+        });
+
+        console.log(`Regions: ${regionCount} (${manifest.metadata.analyzed_region_count} analyzed)`);
+        if (indexCount && indexCount > regionCount) {
+            console.log(`Note: data_index.json reports ${indexCount} regions; ${indexCount - regionCount} appear in no region, competitive or cuisine file and are not listed`);
+        }
+        console.log(`Search entries: ${searchIndex.metadata.entry_count} (${searchIndex.metadata.competitor_count} competitors)`);
+    } catch (error) {
+        console.error('Manifest build failed:', error);
+        process.exit(1);
+    }
+}
+
+main();
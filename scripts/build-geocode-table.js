@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const DATA_DIR = path.join(__dirname, '../web_app/data');
+const OUTPUT_DIRS = [DATA_DIR, path.join(__dirname, '../data')].filter(dir => fs.existsSync(dir));
+const TABLE_NAME = path.join('geo', 'business_coordinates.json');
+
+function readJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function collectBusinessIds() {
+    const dir = path.join(DATA_DIR, 'competitive');
+    const ids = new Set();
+
+    fs.readdirSync(dir).filter(file => file.endsWith('.json')).forEach(file => {
+        (readJson(path.join(dir, file)).key_competitors || []).forEach(competitor => {
+            if (competitor.business_id) {
+                ids.add(competitor.business_id);
+            }
+        });
+    });
+
+    return ids;
+}
+
+async function readCoordinates(sourcePath, ids) {
+    const businesses = {};
+    const lines = readline.createInterface({
+        input: fs.createReadStream(sourcePath, 'utf8'),
+        crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+        if (!line.trim()) {
+            continue;
+        }
+
+        const business = JSON.parse(line);
+        if (ids.has(business.business_id) && Number.isFinite(business.latitude) && Number.isFinite(business.longitude)) {
+            businesses[business.business_id] = {
+                lat: Math.round(business.latitude * 1e6) / 1e6,
+                lng: Math.round(business.longitude * 1e6) / 1e6
+            };
+        }
+    }
+
+    return businesses;
+}
+
+async function main() {
+    const sourcePath = process.argv[2];
+
+    if (!sourcePath || !fs.existsSync(sourcePath)) {
+        console.error('Usage: node scripts/build-geocode-table.js <yelp_academic_dataset_business.json>');
+        process.exit(1);
+    }
+
+    console.log('Building business geocode table...');
+
+    try {
+        const ids = collectBusinessIds();
+        const businesses = await readCoordinates(sourcePath, ids);
+        const sorted = {};
+        Object.keys(businesses).sort().forEach(id => {
+            sorted[id] = businesses[id];
+        });
+
+        const table = {
+            metadata: {
+                description: 'Per-business coordinates for competitors in the competitive analyses',
+                coordinate_system: 'WGS84',
+                source: path.basename(sourcePath),
+                competitor_count: ids.size,
+                geocoded_count: Object.keys(sorted).length
+            },
+            businesses: sorted
+        };
+
+        OUTPUT_DIRS.forEach(dir => {
+            const tablePath = path.join(dir, TABLE_NAME);
+            fs.mkdirSync(path.dirname(tablePath), { recursive: true });
+            fs.writeFileSync(tablePath, JSON.stringify(table, null, 2));
+            console.log(`Geocode table written to ${path.relative(process.cwd(), tablePath)}`);
+        });
+
+        console.log(`Geocoded ${table.metadata.geocoded_count} of ${ids.size} competitors`);
+    } catch (error) {
+        console.error('Geocode table build failed:', error);
+        process.exit(1);
+    }
+}
+
+main();